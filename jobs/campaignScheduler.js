@@ -0,0 +1,194 @@
+const cron = require('node-cron');
+const Campaign = require('../models/Campaign');
+const Invitation = require('../models/Invitation');
+const { sendTemplateEmail } = require('../utils/email');
+const { SETTLED_SELECTION_STATUSES, transitionCampaign } = require('../utils/campaignLifecycle');
+const { refundCampaign } = require('../utils/ledger');
+
+// Deliverables still being worked on
+const OPEN_SELECTION_STATUSES = ['assigned', 'in_progress'];
+
+const reminderWindowMs = () =>
+  (parseInt(process.env.CAMPAIGN_REMINDER_DAYS) || 3) * 24 * 60 * 60 * 1000;
+
+// Reject pending applications and expire open invitations once the application deadline passes
+const closeApplications = async (now) => {
+  const campaigns = await Campaign.find({
+    status: { $in: ['active', 'paused'] },
+    'timeline.applicationDeadline': { $lte: now },
+    applicationsClosedAt: { $exists: false }
+  });
+
+  let rejected = 0;
+  for (const campaign of campaigns) {
+    campaign.applications
+      .filter(application => application.status === 'pending')
+      .forEach(application => {
+        application.status = 'rejected';
+        application.reviewedAt = now;
+        rejected++;
+      });
+
+    campaign.applicationsClosedAt = now;
+    await campaign.save();
+  }
+
+  const expired = await Invitation.updateMany(
+    { status: { $in: ['pending', 'countered'] }, expiresAt: { $lte: now } },
+    { status: 'expired', updatedAt: now }
+  );
+
+  return { campaigns: campaigns.length, rejected, invitationsExpired: expired.modifiedCount };
+};
+
+// Email selected influencers whose deliverables are still open as the campaign end approaches
+const sendDeadlineReminders = async (now) => {
+  const campaigns = await Campaign.find({
+    status: { $in: ['active', 'paused'] },
+    'timeline.campaignEnd': { $gt: now, $lte: new Date(now.getTime() + reminderWindowMs()) },
+    selectedInfluencers: {
+      $elemMatch: { status: { $in: OPEN_SELECTION_STATUSES }, reminderSentAt: { $exists: false } }
+    }
+  }).populate({
+    path: 'selectedInfluencers.influencerId',
+    select: 'userId',
+    populate: { path: 'userId', select: 'email' }
+  });
+
+  let sent = 0;
+  for (const campaign of campaigns) {
+    const due = campaign.selectedInfluencers.filter(si =>
+      OPEN_SELECTION_STATUSES.includes(si.status) && !si.reminderSentAt
+    );
+
+    for (const selectedInfluencer of due) {
+      try {
+        await sendTemplateEmail(
+          selectedInfluencer.influencerId.userId.email,
+          'deliverableReminder',
+          campaign.title,
+          campaign.timeline.campaignEnd
+        );
+        sent++;
+      } catch (error) {
+        console.error(`Reminder email error for campaign ${campaign._id}:`, error);
+      }
+      // Marked even when the email fails so a broken address is not retried every run
+      selectedInfluencer.reminderSentAt = now;
+    }
+
+    await campaign.save();
+  }
+
+  return { sent };
+};
+
+// Flag deliverables that are still open after the campaign end date
+const flagOverdueDeliverables = async (now) => {
+  const campaigns = await Campaign.find({
+    status: { $in: ['active', 'paused'] },
+    'timeline.campaignEnd': { $lte: now },
+    selectedInfluencers: {
+      $elemMatch: { status: { $in: OPEN_SELECTION_STATUSES }, overdueAt: { $exists: false } }
+    }
+  });
+
+  let flagged = 0;
+  for (const campaign of campaigns) {
+    campaign.selectedInfluencers
+      .filter(si => OPEN_SELECTION_STATUSES.includes(si.status) && !si.overdueAt)
+      .forEach(si => {
+        si.overdueAt = now;
+        flagged++;
+      });
+
+    await campaign.save();
+  }
+
+  return { flagged };
+};
+
+// Complete campaigns whose applications have closed and whose deliverables are
+// all settled. At least one must be approved; a campaign whose work was all
+// rejected is left for the brand to select again or close themselves.
+const completeFinishedCampaigns = async (now) => {
+  const campaigns = await Campaign.find({
+    status: { $in: ['active', 'paused'] },
+    'timeline.applicationDeadline': { $lte: now },
+    'selectedInfluencers.status': 'approved',
+    // No selection still awaiting work or approval
+    selectedInfluencers: { $not: { $elemMatch: { status: { $nin: SETTLED_SELECTION_STATUSES } } } }
+  });
+
+  let completed = 0;
+  for (const campaign of campaigns) {
+    const settled = campaign.selectedInfluencers.every(si => SETTLED_SELECTION_STATUSES.includes(si.status));
+    if (!settled || !campaign.selectedInfluencers.some(si => si.status === 'approved')) {
+      continue;
+    }
+
+    const error = transitionCampaign(campaign, 'completed', null, now);
+    if (error) {
+      console.error(`Cannot auto-complete campaign ${campaign._id}: ${error.message}`);
+      continue;
+    }
+
+    await campaign.save();
+    await refundCampaign(campaign, null);
+    completed++;
+  }
+
+  return { completed };
+};
+
+// Run every task once. Each task only touches records it has not processed
+// yet, so repeated runs are safe. Pass `now` to run against a fixed clock.
+const runCampaignScheduler = async ({ now = new Date() } = {}) => {
+  try {
+    console.log('Starting campaign scheduler run...');
+
+    const results = {
+      applications: await closeApplications(now),
+      reminders: await sendDeadlineReminders(now),
+      overdue: await flagOverdueDeliverables(now),
+      completion: await completeFinishedCampaigns(now)
+    };
+
+    console.log('Campaign scheduler run completed:', JSON.stringify(results));
+    return results;
+  } catch (error) {
+    console.error('Error in campaign scheduler job:', error);
+    return null;
+  }
+};
+
+// Schedule the job to run hourly
+const scheduleJob = () => {
+  cron.schedule('0 * * * *', () => runCampaignScheduler(), {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log('Campaign scheduler job scheduled to run hourly');
+};
+
+// Manual trigger function for testing
+const triggerManualRun = async (options) => {
+  console.log('Manually triggering campaign scheduler...');
+  return runCampaignScheduler(options);
+};
+
+// Initialize the job
+if (process.env.NODE_ENV !== 'test') {
+  scheduleJob();
+}
+
+module.exports = {
+  closeApplications,
+  sendDeadlineReminders,
+  flagOverdueDeliverables,
+  completeFinishedCampaigns,
+  runCampaignScheduler,
+  triggerManualRun,
+  scheduleJob
+};
@@ -1,5 +1,35 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Resolve the active user and session for an access token. Returns
+// { user, session } or { message } when the token is valid but the session
+// or account cannot be used. Throws if the token is invalid.
+const resolveTokenUser = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Single-purpose tokens such as email verification links are not sessions
+  if (decoded.purpose || !decoded.sid) {
+    return { message: 'Not authorized, token failed' };
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.userId.toString() !== decoded.id) {
+    return { message: 'Session has expired or been revoked' };
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return { message: 'Not authorized, user not found' };
+  }
+
+  if (!user.isActive) {
+    return { message: 'Account is deactivated' };
+  }
+
+  return { user, session };
+};
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -15,20 +45,14 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'Not authorized, no token' });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from token
-    req.user = await User.findById(decoded.id).select('-password');
-    
-    if (!req.user) {
-      return res.status(401).json({ message: 'Not authorized, user not found' });
-    }
-
-    if (!req.user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated' });
+    // Verify token and get user from it
+    const { user, session, message } = await resolveTokenUser(token);
+    if (!user) {
+      return res.status(401).json({ message });
     }
 
+    req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -49,10 +73,27 @@ const authorize = (...roles) => {
       });
     }
 
+    // Admin access requires two-factor authentication
+    if (req.user.role === 'admin' && !req.user.twoFactor.enabled) {
+      return res.status(403).json({
+        message: 'Set up two-factor authentication to use admin features',
+        twoFactorSetupRequired: true
+      });
+    }
+
     next();
   };
 };
 
+// Require a verified email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+
+  next();
+};
+
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -62,8 +103,11 @@ const optionalAuth = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
       
       if (token) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        const { user, session } = await resolveTokenUser(token);
+        if (user) {
+          req.user = user;
+          req.sessionId = session._id;
+        }
       }
     }
 
@@ -74,4 +118,4 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { protect, authorize, optionalAuth };
\ No newline at end of file
+module.exports = { protect, authorize, requireVerifiedEmail, optionalAuth, resolveTokenUser };
\ No newline at end of file
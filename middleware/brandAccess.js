@@ -0,0 +1,28 @@
+const Brand = require('../models/Brand');
+
+// Load the brand the user is a team member of into req.brand, optionally
+// requiring their role to grant `permission`. Use after protect.
+const requireBrandMember = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const brand = await Brand.findByMember(req.user.id);
+      if (!brand) {
+        return res.status(404).json({ message: 'Brand profile not found' });
+      }
+
+      if (permission && !brand.memberCan(req.user.id, permission)) {
+        return res.status(403).json({
+          message: `Your ${brand.roleOf(req.user.id)} role does not allow this action`
+        });
+      }
+
+      req.brand = brand;
+      next();
+    } catch (error) {
+      console.error('Brand access error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
+
+module.exports = { requireBrandMember };
@@ -0,0 +1,40 @@
+const { moderateFields } = require('../utils/moderation');
+
+// Run the moderation pipeline over the given request body fields.
+// Blocked content is rejected with 400, masked content is rewritten in
+// req.body, and flagged fields are left on req.moderationFlags so the route
+// can queue them for review once the record has an id.
+const moderateBody = (...fields) => {
+  return async (req, res, next) => {
+    try {
+      const body = req.body || {};
+      const present = fields.reduce((values, field) => {
+        if (typeof body[field] === 'string') {
+          values[field] = body[field];
+        }
+        return values;
+      }, {});
+
+      const { values, blocked, flags } = await moderateFields(present);
+
+      if (blocked.length > 0) {
+        return res.status(400).json({
+          message: 'Content violates moderation rules',
+          violations: blocked.map(({ field, violations }) => ({
+            field,
+            rules: violations.map(violation => violation.rule)
+          }))
+        });
+      }
+
+      Object.assign(req.body, values);
+      req.moderationFlags = flags;
+      next();
+    } catch (error) {
+      console.error('Moderation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
+
+module.exports = { moderateBody };
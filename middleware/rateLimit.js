@@ -0,0 +1,46 @@
+const rateLimit = require('express-rate-limit');
+
+const MINUTE = 60 * 1000;
+
+// Per-IP limiter answering in the API's usual { message } shape
+const createLimiter = ({ windowMs, max, message }) => rateLimit({
+  windowMs,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message }
+});
+
+// Normal API traffic
+const apiLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: 100,
+  message: 'Too many requests, please try again later'
+});
+
+// Login and two-factor code checks; accounts are also throttled individually
+const loginLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: 20,
+  message: 'Too many login attempts, please try again later'
+});
+
+const signupLimiter = createLimiter({
+  windowMs: 60 * MINUTE,
+  max: 5,
+  message: 'Too many accounts created from this IP, please try again later'
+});
+
+// Reset requests send email, so they are limited the hardest
+const passwordResetLimiter = createLimiter({
+  windowMs: 60 * MINUTE,
+  max: 5,
+  message: 'Too many password reset requests, please try again later'
+});
+
+module.exports = {
+  apiLimiter,
+  loginLimiter,
+  signupLimiter,
+  passwordResetLimiter
+};
@@ -1,12 +1,37 @@
 const mongoose = require('mongoose');
+const { BRAND_ROLES, roleCan } = require('../utils/brandTeam');
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: BRAND_ROLES,
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const brandSchema = new mongoose.Schema({
+  // The account that created the brand; access goes through `members`
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
     unique: true
   },
+  // Team members and their roles; a user belongs to at most one brand
+  members: [memberSchema],
   companyName: {
     type: String,
     required: true
@@ -73,6 +98,7 @@ const brandSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Derived from payouts in the payment ledger
   totalSpent: {
     type: Number,
     default: 0
@@ -97,10 +123,39 @@ const brandSchema = new mongoose.Schema({
   }
 });
 
+brandSchema.index({ 'members.userId': 1 });
+
 // Update timestamp on save
 brandSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// The brand the user is a team member of, or null
+brandSchema.statics.findByMember = function(userId) {
+  return this.findOne({ 'members.userId': userId });
+};
+
+const sameId = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+// The member's role, or null if the user is not on the team
+brandSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => sameId(m.userId, userId));
+  return member ? member.role : null;
+};
+
+brandSchema.methods.isMember = function(userId) {
+  return this.roleOf(userId) !== null;
+};
+
+// Whether the user's team role grants the permission
+brandSchema.methods.memberCan = function(userId, permission) {
+  return roleCan(this.roleOf(userId), permission);
+};
+
+// User ids of members whose role grants the permission
+brandSchema.methods.membersWith = function(permission) {
+  return this.members.filter(m => roleCan(m.role, permission)).map(m => m.userId);
+};
+
 module.exports = mongoose.model('Brand', brandSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { transitionSelection } = require('../utils/campaignLifecycle');
 
 const deliverableSchema = new mongoose.Schema({
   type: {
@@ -19,6 +20,110 @@ const deliverableSchema = new mongoose.Schema({
   description: String
 });
 
+const statusTransitionSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const revisionSchema = new mongoose.Schema({
+  round: {
+    type: Number,
+    required: true
+  },
+  comments: {
+    type: String,
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  previousUrl: String,
+  resubmittedAt: Date
+});
+
+const offerSchema = new mongoose.Schema({
+  by: {
+    type: String,
+    enum: ['brand', 'influencer'],
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  message: String,
+  withinBudget: Boolean,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  dueDate: Date,
+  // Campaign deliverable whose approved proof makes this milestone payable.
+  // Milestones without one (e.g. upfront payments) are payable immediately.
+  deliverableId: mongoose.Schema.Types.ObjectId,
+  status: {
+    type: String,
+    enum: ['pending', 'payable', 'paid'],
+    default: 'pending'
+  },
+  payableAt: Date,
+  paidAt: Date
+});
+
+const proofOfWorkSchema = new mongoose.Schema({
+  deliverableId: mongoose.Schema.Types.ObjectId,
+  url: String,
+  platform: String,
+  type: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'revision_requested', 'rejected'],
+    default: 'pending'
+  },
+  reviewComments: String,
+  reviewedAt: Date,
+  revisions: [revisionSchema],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const campaignSchema = new mongoose.Schema({
   brandId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -94,6 +199,7 @@ const campaignSchema = new mongoose.Schema({
     enum: ['draft', 'active', 'paused', 'completed', 'cancelled'],
     default: 'draft'
   },
+  statusHistory: [statusTransitionSchema],
   applications: [{
     influencerId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -101,6 +207,8 @@ const campaignSchema = new mongoose.Schema({
     },
     proposedRate: Number,
     message: String,
+    // Negotiation history, oldest first; the last entry is the live offer
+    offers: [offerSchema],
     status: {
       type: String,
       enum: ['pending', 'accepted', 'rejected'],
@@ -109,7 +217,8 @@ const campaignSchema = new mongoose.Schema({
     appliedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    reviewedAt: Date
   }],
   selectedInfluencers: [{
     influencerId: {
@@ -117,24 +226,32 @@ const campaignSchema = new mongoose.Schema({
       ref: 'Influencer'
     },
     agreedRate: Number,
+    // Terms of an offer accepted in chat, when the selection came from one
+    terms: {
+      deliverables: [deliverableSchema],
+      deadline: Date,
+      messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+      }
+    },
+    milestones: [milestoneSchema],
     status: {
       type: String,
       enum: ['assigned', 'in_progress', 'submitted', 'approved', 'rejected'],
       default: 'assigned'
     },
+    statusHistory: [statusTransitionSchema],
     assignedAt: Date,
     submittedAt: Date,
     approvedAt: Date,
-    proofOfWork: [{
-      url: String,
-      platform: String,
-      type: String,
-      submittedAt: {
-        type: Date,
-        default: Date.now
-      }
-    }]
+    // Set by the campaign scheduler
+    reminderSentAt: Date,
+    overdueAt: Date,
+    proofOfWork: [proofOfWorkSchema]
   }],
+  // Set by the campaign scheduler when pending applications are closed out
+  applicationsClosedAt: Date,
   totalBudgetAllocated: {
     type: Number,
     default: 0
@@ -149,6 +266,21 @@ const campaignSchema = new mongoose.Schema({
   }
 });
 
+// Keyword search; title matches rank above description matches
+campaignSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 5, description: 1 }, name: 'campaign_text_search' }
+);
+
+// Listing filters and sorts, all scoped by status
+campaignSchema.index({ status: 1, createdAt: -1 });
+campaignSchema.index({ status: 1, category: 1, createdAt: -1 });
+campaignSchema.index({ status: 1, 'budget.max': -1 });
+campaignSchema.index({ status: 1, 'timeline.applicationDeadline': 1 });
+campaignSchema.index({ status: 1, 'deliverables.platform': 1 });
+campaignSchema.index({ status: 1, 'requirements.niches': 1 });
+campaignSchema.index({ brandId: 1, createdAt: -1 });
+
 // Update timestamp on save
 campaignSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -162,4 +294,120 @@ campaignSchema.methods.calculateTotalBudget = function() {
   }, 0);
 };
 
+// Whether a rate falls inside the campaign's advertised budget range
+campaignSchema.methods.isRateWithinBudget = function(rate) {
+  return rate >= this.budget.min && rate <= this.budget.max;
+};
+
+// Warning shown when an offer falls outside the budget range, or null
+campaignSchema.methods.budgetWarning = function(rate) {
+  if (this.isRateWithinBudget(rate)) return null;
+  return `Offer of ${rate} ${this.budget.currency} is outside the campaign budget range of ${this.budget.min}-${this.budget.max} ${this.budget.currency}`;
+};
+
+// Add an influencer to selectedInfluencers at the agreed rate, enforcing the
+// budget cap and available escrow (`funds.available`, reduced on success).
+// Returns null on success or an error object for the response.
+campaignSchema.methods.selectInfluencer = function(influencerId, agreedRate, actorId, funds) {
+  const alreadySelected = this.selectedInfluencers.some(
+    si => si.influencerId.toString() === influencerId.toString()
+  );
+
+  if (alreadySelected) {
+    return { statusCode: 400, message: 'Influencer is already selected for this campaign' };
+  }
+
+  const rate = agreedRate || 0;
+
+  // Enforce the campaign budget cap across all selections
+  this.calculateTotalBudget();
+  if (this.totalBudgetAllocated + rate > this.budget.max) {
+    return {
+      statusCode: 400,
+      message: `Selecting this influencer would exceed the campaign budget of ${this.budget.max} ${this.budget.currency}`
+    };
+  }
+
+  // The agreed rate is held in escrow, so it must already be funded
+  if (rate > funds.available) {
+    return {
+      statusCode: 402,
+      message: `Insufficient campaign funds: ${funds.available} ${this.budget.currency} available, ${rate} required`
+    };
+  }
+  funds.available -= rate;
+
+  this.selectedInfluencers.push({
+    influencerId,
+    agreedRate,
+    status: 'assigned',
+    statusHistory: [{ to: 'assigned', actor: actorId }],
+    assignedAt: new Date()
+  });
+  this.calculateTotalBudget();
+
+  return null;
+};
+
+// Undo a selection made by selectInfluencer that has not been saved yet,
+// e.g. when its escrow hold could not be placed
+campaignSchema.methods.deselectInfluencer = function(influencerId) {
+  this.selectedInfluencers = this.selectedInfluencers.filter(
+    si => si.influencerId.toString() !== influencerId.toString()
+  );
+  this.calculateTotalBudget();
+};
+
+// Derive a selected influencer's status from the review state of their proof of work.
+// Returns { approved }, true when this call moved the deliverable to approved,
+// or the transition error object for a 409 response.
+campaignSchema.methods.syncDeliverableStatus = function(selectedInfluencer, actorId) {
+  const proofs = selectedInfluencer.proofOfWork;
+  if (proofs.length === 0) return { approved: false };
+
+  let nextStatus;
+  if (proofs.some(proof => proof.status === 'revision_requested')) {
+    nextStatus = 'in_progress';
+  } else if (proofs.some(proof => proof.status === 'pending')) {
+    nextStatus = 'submitted';
+  } else if (proofs.some(proof => proof.status === 'rejected')) {
+    nextStatus = 'rejected';
+  } else {
+    nextStatus = 'approved';
+  }
+
+  if (nextStatus === selectedInfluencer.status) return { approved: false };
+
+  const error = transitionSelection(selectedInfluencer, nextStatus, actorId);
+  if (error) {
+    return error;
+  }
+
+  if (nextStatus === 'approved') {
+    selectedInfluencer.approvedAt = new Date();
+    return { approved: true };
+  }
+
+  return { approved: false };
+};
+
+// Mark pending milestones payable. With `all`, every pending milestone is marked;
+// otherwise those linked to `deliverableId` (null selects upfront milestones with
+// no linked deliverable). Returns the milestones changed.
+campaignSchema.methods.markMilestonesPayable = function(selectedInfluencer, { deliverableId = null, all = false } = {}) {
+  const linkedTo = (milestone) => (milestone.deliverableId ? milestone.deliverableId.toString() : null) ===
+    (deliverableId ? deliverableId.toString() : null);
+
+  const milestones = selectedInfluencer.milestones.filter(milestone =>
+    milestone.status === 'pending' && (all || linkedTo(milestone))
+  );
+
+  milestones.forEach(milestone => {
+    milestone.status = 'payable';
+    milestone.payableAt = new Date();
+  });
+
+  return milestones;
+};
+
 module.exports = mongoose.model('Campaign', campaignSchema);
\ No newline at end of file
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const templateDeliverableSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['post', 'story', 'reel', 'video', 'blog'],
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['instagram', 'youtube', 'tiktok', 'twitter', 'blog'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: String
+});
+
+// Reusable campaign content owned by a brand. Timeline and status are
+// deliberately absent: they are set each time a campaign is created.
+const campaignTemplateSchema = new mongoose.Schema({
+  brandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  title: String,
+  description: String,
+  category: {
+    type: String,
+    enum: ['fashion', 'beauty', 'fitness', 'food', 'travel', 'tech', 'lifestyle', 'gaming', 'education', 'business']
+  },
+  budget: {
+    min: Number,
+    max: Number,
+    currency: {
+      type: String,
+      default: 'USD'
+    }
+  },
+  deliverables: [templateDeliverableSchema],
+  requirements: {
+    minFollowers: Number,
+    minEngagementRate: Number,
+    targetAudience: {
+      ageRange: {
+        min: Number,
+        max: Number
+      },
+      gender: {
+        type: String,
+        enum: ['male', 'female', 'all']
+      },
+      location: [String]
+    },
+    niches: [String]
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+campaignTemplateSchema.index({ brandId: 1, name: 1 }, { unique: true });
+
+// Fields copied into a new campaign
+campaignTemplateSchema.methods.toCampaignFields = function() {
+  const { title, description, category, budget, deliverables, requirements } = this.toObject();
+  return {
+    title,
+    description,
+    category,
+    budget,
+    deliverables: (deliverables || []).map(({ _id, ...deliverable }) => deliverable),
+    requirements
+  };
+};
+
+// Update timestamp on save
+campaignTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CampaignTemplate', campaignTemplateSchema);
@@ -1,38 +1,6 @@
 const mongoose = require('mongoose');
 
-const messageSchema = new mongoose.Schema({
-  senderId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  content: {
-    type: String,
-    required: true
-  },
-  messageType: {
-    type: String,
-    enum: ['text', 'image', 'file'],
-    default: 'text'
-  },
-  fileUrl: String,
-  fileName: String,
-  readBy: [{
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    readAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
+// Messages are stored in the Message collection (see models/Message.js)
 const chatSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -48,8 +16,11 @@ const chatSchema = new mongoose.Schema({
     enum: ['direct', 'campaign'],
     default: 'direct'
   },
-  messages: [messageSchema],
   lastMessage: {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
     content: String,
     senderId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -71,10 +42,14 @@ const chatSchema = new mongoose.Schema({
   }
 });
 
+chatSchema.index({ participants: 1, isActive: 1, updatedAt: -1 });
+
 // Update last message and timestamp when new message is added
 chatSchema.methods.updateLastMessage = function(message) {
   this.lastMessage = {
-    content: message.content,
+    messageId: message._id,
+    // Deleted messages keep their place in the chat list without their content
+    content: message.deletedAt ? null : message.content,
     senderId: message.senderId,
     createdAt: message.createdAt
   };
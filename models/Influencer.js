@@ -102,6 +102,11 @@ const influencerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Derived from payouts in the payment ledger
+  totalEarnings: {
+    type: Number,
+    default: 0
+  },
   rating: {
     type: Number,
     min: 0,
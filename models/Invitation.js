@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  brandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true
+  },
+  influencerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Influencer',
+    required: true
+  },
+  offeredRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  message: String,
+  status: {
+    type: String,
+    enum: ['pending', 'countered', 'accepted', 'declined', 'expired'],
+    default: 'pending'
+  },
+  counterRate: Number,
+  counterMessage: String,
+  // Set from the campaign's application deadline
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+invitationSchema.index({ campaignId: 1, influencerId: 1 });
+invitationSchema.index({ influencerId: 1, status: 1 });
+
+// Mark an open invitation expired once its deadline has passed. Returns true if changed.
+invitationSchema.methods.expireIfDue = function(now = new Date()) {
+  if (['pending', 'countered'].includes(this.status) && this.expiresAt <= now) {
+    this.status = 'expired';
+    return true;
+  }
+  return false;
+};
+
+// Update timestamp on save
+invitationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Running balance of a ledger account, kept alongside the transactions so
+// withdrawals can be checked and applied in a single conditional update
+const ledgerAccountSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const ledgerEntrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['fund', 'hold', 'release', 'refund'],
+    required: true
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  brandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true
+  },
+  influencerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Influencer'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  entries: {
+    type: [ledgerEntrySchema],
+    validate: {
+      validator: function(entries) {
+        const debits = entries.filter(e => e.direction === 'debit').reduce((t, e) => t + e.amount, 0);
+        const credits = entries.filter(e => e.direction === 'credit').reduce((t, e) => t + e.amount, 0);
+        return entries.length >= 2 && Math.abs(debits - credits) < 0.005;
+      },
+      message: 'Ledger entries must balance'
+    }
+  },
+  // Pending while the payment provider call is in flight; the idempotency
+  // key is already claimed, so a concurrent retry cannot move money twice
+  status: {
+    type: String,
+    enum: ['pending', 'posted'],
+    default: 'posted'
+  },
+  provider: String,
+  providerReference: String,
+  // Prevents the same money movement being recorded twice
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ledgerTransactionSchema.index({ campaignId: 1, createdAt: 1 });
+ledgerTransactionSchema.index({ 'entries.account': 1 });
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+
+const offerDeliverableSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['post', 'story', 'reel', 'video', 'blog'],
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['instagram', 'youtube', 'tiktok', 'twitter', 'blog'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: String
+}, { _id: false });
+
+// Rate offer that the other party can accept in-line
+const offerSchema = new mongoose.Schema({
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  deliverables: [offerDeliverableSchema],
+  deadline: Date,
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'superseded'],
+    default: 'pending'
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date
+}, { _id: false });
+
+// Points at one of the campaign's deliverables
+const briefSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  deliverableId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+}, { _id: false });
+
+// Points at proof of work waiting for the brand's review
+const approvalRequestSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  selectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  proofId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+}, { _id: false });
+
+// Chat messages live in their own collection so long threads do not grow
+// the chat document without bound
+const messageSchema = new mongoose.Schema({
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'image', 'file', 'offer', 'brief', 'approval_request'],
+    default: 'text'
+  },
+  fileUrl: String,
+  fileName: String,
+  // Set for the matching structured message type
+  offer: offerSchema,
+  brief: briefSchema,
+  approvalRequest: approvalRequestSchema,
+  readBy: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Previous versions of the content, kept for moderation and never sent to participants
+  edits: [{
+    content: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: Date,
+  // Soft delete: the content stays stored but is hidden from participants
+  deletedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.edits;
+    if (ret.deletedAt) {
+      ret.content = null;
+      ret.fileUrl = null;
+      ret.fileName = null;
+    }
+    return ret;
+  }
+});
+
+// History pages are read newest first within a chat
+messageSchema.index({ chatId: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ chatId: 1, 'readBy.userId': 1 });
+
+// Search across a user's chats; file names are searchable for attachments
+messageSchema.index(
+  { content: 'text', fileName: 'text' },
+  { weights: { content: 5, fileName: 1 }, name: 'message_text_search' }
+);
+
+// Messages older (before) or newer (after) than the anchor message. The anchor
+// itself is included when idOperator is $lte/$gte.
+const rangeFrom = (anchor, operator, idOperator = operator) => ({
+  $or: [
+    { createdAt: { [operator]: anchor.createdAt } },
+    { createdAt: anchor.createdAt, _id: { [idOperator]: anchor._id } }
+  ]
+});
+
+// One page of a chat's history, newest first. `before`/`after` are message ids
+// from a previous page. Returns null when the anchor message is not in the chat.
+messageSchema.statics.history = async function(chatId, { before, after, limit }) {
+  const anchorId = before || after;
+  let anchor = null;
+
+  if (anchorId) {
+    if (!mongoose.isValidObjectId(anchorId)) return null;
+    anchor = await this.findOne({ _id: anchorId, chatId }).select('createdAt');
+    if (!anchor) return null;
+  }
+
+  const filter = { chatId };
+  if (anchor) {
+    Object.assign(filter, rangeFrom(anchor, after ? '$gt' : '$lt'));
+  }
+
+  // Walk forwards from the anchor for `after`, then flip to newest first
+  const direction = after ? 1 : -1;
+  let messages = await this.find(filter)
+    .populate('senderId', 'email role')
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit + 1);
+
+  const hasMore = messages.length > limit;
+  messages = messages.slice(0, limit);
+  if (after) messages.reverse();
+
+  return { messages, hasMore };
+};
+
+// Unread message counts for a user, keyed by chat id
+messageSchema.statics.unreadCounts = async function(chatIds, userId) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const rows = await this.aggregate([
+    {
+      $match: {
+        chatId: { $in: chatIds },
+        senderId: { $ne: userObjectId },
+        'readBy.userId': { $ne: userObjectId }
+      }
+    },
+    { $group: { _id: '$chatId', count: { $sum: 1 } } }
+  ]);
+
+  return rows.reduce((counts, row) => {
+    counts[row._id.toString()] = row.count;
+    return counts;
+  }, {});
+};
+
+// Mark messages in the chat as read by the user, either all of them or
+// everything up to and including the `upTo` message
+messageSchema.statics.markChatRead = function(chatId, userId, upTo = null) {
+  const filter = { chatId, 'readBy.userId': { $ne: userId } };
+  if (upTo) {
+    Object.assign(filter, rangeFrom(upTo, '$lt', '$lte'));
+  }
+
+  return this.updateMany(filter, { $push: { readBy: { userId, readAt: new Date() } } });
+};
+
+// Sender changes are allowed for this long after a message is sent
+messageSchema.statics.editWindowMs = () =>
+  (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Why the user may not edit or delete this message, or null if they may
+messageSchema.methods.checkSenderChange = function(userId, now = new Date()) {
+  if (this.senderId.toString() !== userId.toString()) {
+    return { statusCode: 403, message: 'You can only change your own messages' };
+  }
+
+  if (this.deletedAt) {
+    return { statusCode: 409, message: 'Message has been deleted' };
+  }
+
+  if (this.offer && this.offer.status !== 'pending') {
+    return { statusCode: 409, message: `Offer has already been ${this.offer.status}` };
+  }
+
+  if (now.getTime() - this.createdAt.getTime() > this.constructor.editWindowMs()) {
+    return { statusCode: 409, message: 'Edit window for this message has passed' };
+  }
+
+  return null;
+};
+
+// Replace the content, keeping the previous version in the edit history
+messageSchema.methods.edit = function(content, now = new Date()) {
+  this.edits.push({ content: this.content, editedAt: now });
+  this.content = content;
+  this.editedAt = now;
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const isChatTarget = function() {
+  return ['chat', 'message'].includes(this.targetType);
+};
+
+// A user's report about a chat or a single message, or content flagged by
+// the moderation pipeline, reviewed by admins
+const reportSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['user', 'moderation'],
+    default: 'user'
+  },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.source === 'user';
+    }
+  },
+  targetType: {
+    type: String,
+    enum: ['chat', 'message', 'influencer', 'brand', 'campaign', 'invitation', 'application'],
+    required: true
+  },
+  // The influencer, brand or campaign profile, invitation or application the
+  // flagged text belongs to
+  targetId: mongoose.Schema.Types.ObjectId,
+  // Campaign holding the application, which has no collection of its own
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: function() {
+      return this.targetType === 'application';
+    }
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: isChatTarget
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // The sender of the message, or the other participant of the chat
+  reportedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'harassment', 'scam', 'inappropriate', 'off_platform', 'other'],
+    required: true
+  },
+  details: String,
+  // Original text of each field the moderation pipeline flagged
+  flaggedContent: [{
+    _id: false,
+    field: String,
+    text: String,
+    violations: [{
+      _id: false,
+      rule: String,
+      action: String,
+      matches: [String]
+    }]
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // What the admin did when resolving the report
+  action: {
+    type: String,
+    enum: ['none', 'message_deleted', 'user_deactivated']
+  },
+  resolution: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ source: 1, status: 1, createdAt: -1 });
+reportSchema.index({ reporterId: 1, targetType: 1, chatId: 1, messageId: 1 });
+
+// Update timestamp on save
+reportSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Report', reportSchema);
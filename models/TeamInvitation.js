@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { BRAND_ROLES } = require('../utils/brandTeam');
+
+// An emailed invitation to join a brand team
+const teamInvitationSchema = new mongoose.Schema({
+  brandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: BRAND_ROLES,
+    required: true
+  },
+  // SHA-256 of the token sent in the invitation link
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+teamInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+teamInvitationSchema.index({ brandId: 1, status: 1, email: 1 });
+
+// Update timestamp on save
+teamInvitationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('TeamInvitation', teamInvitationSchema);
@@ -26,6 +26,47 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When the last verification link was sent, to throttle resends
+  emailVerificationSentAt: Date,
+  // TOTP two-factor authentication; secrets are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first code during enrolment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step accepted, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Users this user has blocked from chatting with them
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Failed logins since the last success, for throttling and lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   createdAt: {
@@ -52,6 +93,134 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Failed logins allowed before each further attempt is delayed
+const FREE_LOGIN_ATTEMPTS = 3;
+const MAX_LOGIN_DELAY_SECONDS = 60;
+
+const maxLoginAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+const loginLockMs = () => (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+
+// Whether the failure count still applies; it lapses once a lockout ends or
+// after a lockout period without failures
+userSchema.methods.hasRecentFailedLogins = function(now = new Date()) {
+  if (this.lockUntil) return this.lockUntil > now;
+  return Boolean(this.lastFailedLoginAt) && now - this.lastFailedLoginAt < loginLockMs();
+};
+
+// Null if a login attempt may proceed, or an error with `retryAfter` seconds
+// while the account is locked or waiting out the delay after recent failures
+userSchema.methods.checkLoginThrottle = function(now = new Date()) {
+  if (this.lockUntil && this.lockUntil > now) {
+    return {
+      statusCode: 423,
+      message: 'Account is temporarily locked after too many failed login attempts',
+      retryAfter: Math.ceil((this.lockUntil - now) / 1000)
+    };
+  }
+
+  if (!this.hasRecentFailedLogins(now) || this.failedLoginAttempts < FREE_LOGIN_ATTEMPTS) {
+    return null;
+  }
+
+  // Each failure past the free attempts doubles the wait, up to a minute
+  const delaySeconds = Math.min(
+    2 ** (this.failedLoginAttempts - FREE_LOGIN_ATTEMPTS),
+    MAX_LOGIN_DELAY_SECONDS
+  );
+  const waitMs = this.lastFailedLoginAt.getTime() + delaySeconds * 1000 - now.getTime();
+
+  if (waitMs > 0) {
+    return {
+      statusCode: 429,
+      message: 'Too many failed login attempts, please wait before trying again',
+      retryAfter: Math.ceil(waitMs / 1000)
+    };
+  }
+
+  return null;
+};
+
+// Count a failed password or two-factor code. Parallel failures must all be
+// counted, so the counter is changed with atomic updates rather than a save;
+// this document is refreshed from the result. Returns true when this failure
+// locked the account.
+userSchema.methods.registerFailedLogin = async function(now = new Date()) {
+  const User = this.constructor;
+
+  // Start counting afresh once earlier failures have lapsed, unless another
+  // failure has been recorded since this document was read
+  if (!this.hasRecentFailedLogins(now)) {
+    await User.updateOne(
+      { _id: this._id, lastFailedLoginAt: this.lastFailedLoginAt || null },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+  }
+
+  let updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+  if (!updated) return false;
+
+  // Only the failure that sets the lock reports it, so one email goes out
+  let locked = false;
+  if (updated.failedLoginAttempts >= maxLoginAttempts() && !(updated.lockUntil > now)) {
+    const lockedUser = await User.findOneAndUpdate(
+      { _id: this._id, lockUntil: updated.lockUntil || null },
+      { $set: { lockUntil: new Date(now.getTime() + loginLockMs()) } },
+      { new: true }
+    );
+    if (lockedUser) {
+      updated = lockedUser;
+      locked = true;
+    }
+  }
+
+  ['failedLoginAttempts', 'lastFailedLoginAt', 'lockUntil'].forEach(path => {
+    this.set(path, updated[path]);
+    this.unmarkModified(path);
+  });
+
+  return locked;
+};
+
+userSchema.methods.resetFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
+// Load a user with their two-factor secrets
+userSchema.statics.findWithTwoFactor = function(id) {
+  return this.findById(id).select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+};
+
+// Turn off two-factor authentication and discard its secrets
+userSchema.statics.resetTwoFactor = function(id) {
+  return this.updateOne({ _id: id }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.recoveryCodes': 1,
+      'twoFactor.lastUsedStep': 1,
+      'twoFactor.enabledAt': 1
+    }
+  });
+};
+
+// Whether either user has blocked the other
+userSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+  const block = await this.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return Boolean(block);
+};
+
 // Update timestamp on save
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
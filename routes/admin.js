@@ -4,7 +4,13 @@ const User = require('../models/User');
 const Influencer = require('../models/Influencer');
 const Brand = require('../models/Brand');
 const Campaign = require('../models/Campaign');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
 const { protect, authorize } = require('../middleware/auth');
+const { paginate } = require('../utils/pagination');
+const { deleteMessage } = require('../utils/chatMessages');
+const { revokeAllSessions } = require('../utils/sessions');
 
 const router = express.Router();
 
@@ -20,7 +26,8 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
       totalCampaigns,
       pendingInfluencers,
       activeCampaigns,
-      completedCampaigns
+      completedCampaigns,
+      openReports
     ] = await Promise.all([
       User.countDocuments(),
       Influencer.countDocuments(),
@@ -28,7 +35,8 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
       Campaign.countDocuments(),
       Influencer.countDocuments({ status: 'pending_verification' }),
       Campaign.countDocuments({ status: 'active' }),
-      Campaign.countDocuments({ status: 'completed' })
+      Campaign.countDocuments({ status: 'completed' }),
+      Report.countDocuments({ status: 'open' })
     ]);
 
     const stats = {
@@ -43,7 +51,8 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
         completed: completedCampaigns
       },
       pending: {
-        influencerVerifications: pendingInfluencers
+        influencerVerifications: pendingInfluencers,
+        reports: openReports
       }
     };
 
@@ -62,25 +71,19 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
 // @access  Private (Admin only)
 router.get('/influencers/pending', protect, authorize('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-
-    const influencers = await Influencer.find({ status: 'pending_verification' })
-      .populate('userId', 'email createdAt')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+    const page = await paginate(req, Influencer, { status: 'pending_verification' }, {
+      sort: { createdAt: -1 },
+      build: find => find.populate('userId', 'email createdAt')
+    });
 
-    const total = await Influencer.countDocuments({ status: 'pending_verification' });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
 
     res.json({
       success: true,
-      data: influencers,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      data: page.data,
+      pagination: page.pagination
     });
   } catch (error) {
     console.error('Get pending influencers error:', error);
@@ -152,8 +155,6 @@ router.get('/users', protect, authorize('admin'), async (req, res) => {
     const { 
       role, 
       isActive, 
-      page = 1, 
-      limit = 20,
       search 
     } = req.query;
 
@@ -172,23 +173,20 @@ router.get('/users', protect, authorize('admin'), async (req, res) => {
       query.email = { $regex: search, $options: 'i' };
     }
 
-    const users = await User.find(query)
-      .select('-password')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+    const page = await paginate(req, User, query, {
+      sort: { createdAt: -1 },
+      defaultLimit: 20,
+      build: find => find.select('-password')
+    });
 
-    const total = await User.countDocuments(query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
 
     res.json({
       success: true,
-      data: users,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      data: page.data,
+      pagination: page.pagination
     });
   } catch (error) {
     console.error('Get users error:', error);
@@ -216,6 +214,11 @@ router.put('/users/:id/toggle-status', protect, authorize('admin'), async (req,
     user.isActive = !user.isActive;
     await user.save();
 
+    // Deactivation signs the user out everywhere straight away
+    if (!user.isActive) {
+      await revokeAllSessions(user._id, 'deactivated');
+    }
+
     res.json({
       success: true,
       message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -230,6 +233,45 @@ router.put('/users/:id/toggle-status', protect, authorize('admin'), async (req,
   }
 });
 
+// @desc    Reset a user's two-factor authentication
+// @route   PUT /api/admin/users/:id/2fa/reset
+// @access  Private (Admin only)
+router.put('/users/:id/2fa/reset', protect, authorize('admin'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    // Admins must not be able to remove their own second factor
+    if (userId === req.user.id) {
+      return res.status(403).json({ message: 'You cannot reset your own two-factor authentication' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    await User.resetTwoFactor(user._id);
+
+    // Sessions may be on the lost device, so sign the user out everywhere
+    await revokeAllSessions(user._id, 'two_factor_reset');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: {
+        userId: user._id
+      }
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get all campaigns
 // @route   GET /api/admin/campaigns
 // @access  Private (Admin only)
@@ -237,9 +279,7 @@ router.get('/campaigns', protect, authorize('admin'), async (req, res) => {
   try {
     const { 
       status, 
-      category,
-      page = 1, 
-      limit = 20 
+      category
     } = req.query;
 
     // Build query
@@ -253,23 +293,20 @@ router.get('/campaigns', protect, authorize('admin'), async (req, res) => {
       query.category = category;
     }
 
-    const campaigns = await Campaign.find(query)
-      .populate('brandId', 'companyName email')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+    const page = await paginate(req, Campaign, query, {
+      sort: { createdAt: -1 },
+      defaultLimit: 20,
+      build: find => find.populate('brandId', 'companyName email')
+    });
 
-    const total = await Campaign.countDocuments(query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
 
     res.json({
       success: true,
-      data: campaigns,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      data: page.data,
+      pagination: page.pagination
     });
   } catch (error) {
     console.error('Get campaigns error:', error);
@@ -277,18 +314,54 @@ router.get('/campaigns', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Get flagged content/reports
+// @desc    Get moderation queue of reported chats and messages
 // @route   GET /api/admin/reports
 // @access  Private (Admin only)
 router.get('/reports', protect, authorize('admin'), async (req, res) => {
   try {
-    // This is a placeholder for future reporting system
-    // In Phase 2, this would include user reports, content moderation, etc.
-    
+    const { 
+      status = 'open', 
+      reason,
+      targetType,
+      source
+    } = req.query;
+
+    // Build query
+    let query = { status };
+
+    if (source) {
+      query.source = source;
+    }
+
+    if (reason) {
+      query.reason = reason;
+    }
+
+    if (targetType) {
+      query.targetType = targetType;
+    }
+
+    // Lean documents so admins see deleted content and edit history
+    const page = await paginate(req, Report, query, {
+      sort: { createdAt: 1 },
+      defaultLimit: 20,
+      build: find => find
+        .populate('reporterId', 'email role')
+        .populate('reportedUserId', 'email role isActive')
+        .populate('messageId')
+        .populate('chatId', 'participants chatType campaignId')
+        .populate('campaignId', 'title brandId')
+        .lean()
+    });
+
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
     res.json({
       success: true,
-      message: 'Reports feature coming in Phase 2',
-      data: []
+      data: page.data,
+      pagination: page.pagination
     });
   } catch (error) {
     console.error('Get reports error:', error);
@@ -296,6 +369,91 @@ router.get('/reports', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    Resolve or dismiss a report
+// @route   PUT /api/admin/reports/:id
+// @access  Private (Admin only)
+router.put('/reports/:id',
+  protect,
+  authorize('admin'),
+  [
+    body('status').isIn(['resolved', 'dismissed']),
+    body('action').optional().isIn(['none', 'message_deleted', 'user_deactivated']),
+    body('resolution').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const { status, action = 'none', resolution } = req.body;
+
+      const report = await Report.findById(req.params.id);
+      if (!report) {
+        return res.status(404).json({ message: 'Report not found' });
+      }
+
+      if (report.status !== 'open') {
+        return res.status(400).json({ message: `Report has already been ${report.status}` });
+      }
+
+      if (status === 'dismissed' && action !== 'none') {
+        return res.status(400).json({ message: 'Dismissed reports cannot take an action' });
+      }
+
+      if (action === 'message_deleted') {
+        if (report.targetType !== 'message') {
+          return res.status(400).json({ message: 'Only message reports can delete a message' });
+        }
+
+        const [chat, message] = await Promise.all([
+          Chat.findById(report.chatId),
+          Message.findById(report.messageId)
+        ]);
+        if (chat && message && !message.deletedAt) {
+          await deleteMessage(chat, message);
+        }
+      }
+
+      if (action === 'user_deactivated') {
+        const reportedUser = await User.findById(report.reportedUserId);
+        if (!reportedUser) {
+          return res.status(404).json({ message: 'Reported user not found' });
+        }
+
+        // Don't allow deactivating admin users
+        if (reportedUser.role === 'admin') {
+          return res.status(403).json({ message: 'Cannot deactivate admin users' });
+        }
+
+        reportedUser.isActive = false;
+        await reportedUser.save();
+        await revokeAllSessions(reportedUser._id, 'deactivated');
+      }
+
+      report.status = status;
+      report.action = action;
+      report.resolution = resolution;
+      report.reviewedBy = req.user.id;
+      report.reviewedAt = new Date();
+      await report.save();
+
+      res.json({
+        success: true,
+        message: `Report ${status} successfully`,
+        data: report
+      });
+    } catch (error) {
+      console.error('Review report error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 // @desc    Get platform analytics
 // @route   GET /api/admin/analytics
 // @access  Private (Admin only)
@@ -4,21 +4,102 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
-const { sendEmail } = require('../utils/email');
+const { loginLimiter, signupLimiter, passwordResetLimiter } = require('../middleware/rateLimit');
+const Session = require('../models/Session');
+const { sendEmail, sendTemplateEmail } = require('../utils/email');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const {
+  generateSecret,
+  otpauthUrl,
+  verifyCode,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+const EMAIL_VERIFICATION_PURPOSE = 'verify_email';
+const TWO_FACTOR_LOGIN_PURPOSE = 'two_factor_login';
+
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Signed, expiring email verification link. The token is bound to the
+// address it was sent to, so it stops working if the email changes.
+const generateVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: EMAIL_VERIFICATION_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+};
+
+const sendVerificationEmail = async (req, user) => {
+  const token = generateVerificationToken(user);
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${token}`;
+
+  await sendTemplateEmail(
+    user.email,
+    'emailVerification',
+    verifyUrl,
+    process.env.EMAIL_VERIFICATION_EXPIRE || '24h'
+  );
+
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+};
+
+// Proof that the password was correct, exchanged for a session once the
+// second factor is verified
+const generateInterimToken = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: TWO_FACTOR_LOGIN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_INTERIM_EXPIRE || '5m' }
+  );
+};
+
+// Count a failed password or code, emailing the owner if it locks the account
+const recordFailedLogin = async (user) => {
+  const locked = await user.registerFailedLogin();
+
+  if (locked) {
+    try {
+      await sendTemplateEmail(user.email, 'accountLocked', user.lockUntil);
+    } catch (err) {
+      console.error('Lockout email error:', err);
+    }
+  }
+};
+
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(throttle.statusCode).json({
+    message: throttle.message,
+    retryAfter: throttle.retryAfter
   });
 };
 
+// User details returned when signing in
+const userSummary = (user) => ({
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor.enabled,
+  // Admins must enrol before they can use admin routes
+  twoFactorSetupRequired: user.role === 'admin' && !user.twoFactor.enabled
+});
+
 // @desc    Register user
 // @route   POST /api/auth/signup
 // @access  Public
-router.post('/signup', [
+router.post('/signup', signupLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('role').isIn(['influencer', 'brand'])
@@ -47,19 +128,22 @@ router.post('/signup', [
       role
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // The account works without the email; the link can be resent later
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (err) {
+      console.error('Verification email error:', err);
+    }
+
+    // Sign in on this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        emailVerified: user.emailVerified
-      }
+      refreshToken,
+      user: userSummary(user)
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -70,7 +154,7 @@ router.post('/signup', [
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
-router.post('/login', [
+router.post('/login', loginLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('password').exists()
 ], async (req, res) => {
@@ -96,25 +180,43 @@ router.post('/login', [
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
+    const throttle = user.checkLoginThrottle();
+    if (throttle) {
+      return sendThrottled(res, throttle);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailedLogin(user);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // With 2FA on, the session is only created once the code is verified,
+    // and failed codes keep counting towards the lockout until then
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter your authentication code',
+        twoFactorRequired: true,
+        interimToken: generateInterimToken(user)
+      });
+    }
+
+    if (user.failedLoginAttempts > 0) {
+      user.resetFailedLogins();
+      await user.save();
+    }
+
+    // Sign in on this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        emailVerified: user.emailVerified
-      }
+      refreshToken,
+      user: userSummary(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -122,6 +224,366 @@ router.post('/login', [
   }
 });
 
+// @desc    Complete login with an authentication or recovery code
+// @route   POST /api/auth/2fa/login
+// @access  Public
+router.post('/2fa/login', loginLimiter, [
+  body('interimToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.interimToken, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ message: 'Login has expired, please sign in again' });
+    }
+
+    if (decoded.purpose !== TWO_FACTOR_LOGIN_PURPOSE) {
+      return res.status(401).json({ message: 'Invalid login token' });
+    }
+
+    const user = await User.findWithTwoFactor(decoded.id);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid login token' });
+    }
+
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'Authentication code or recovery code is required' });
+    }
+
+    const throttle = user.checkLoginThrottle();
+    if (throttle) {
+      return sendThrottled(res, throttle);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    user.resetFailedLogins();
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: otpauthUrl(secret, user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Confirm enrolment with a first code and get recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', protect, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findWithTwoFactor(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they are shown only once.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', loginLimiter, protect, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findWithTwoFactor(req.user.id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    // Codes are guessable like a login, so they share its throttle
+    const throttle = user.checkLoginThrottle();
+    if (throttle) {
+      return sendThrottled(res, throttle);
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    user.resetFailedLogins();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', loginLimiter, protect, [
+  body('password').exists(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (req.user.role === 'admin') {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for admin accounts' });
+    }
+
+    const user = await User.findWithTwoFactor(req.user.id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    // Password and codes are guessable like a login, so they share its throttle
+    const throttle = user.checkLoginThrottle();
+    if (throttle) {
+      return sendThrottled(res, throttle);
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    user.resetFailedLogins();
+    await user.save();
+    await User.resetTwoFactor(user._id);
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (result.message) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user || !user.isActive) {
+      await revokeSession(result.session.userId, result.session._id, 'deactivated');
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.sessionId, 'logout');
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get my active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Revoke all my sessions, including this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'All sessions revoked',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Revoke one of my sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await revokeSession(req.user.id, req.params.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -138,10 +600,79 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+    } catch (err) {
+      const message = err.name === 'TokenExpiredError'
+        ? 'Verification link has expired'
+        : 'Invalid verification link';
+      return res.status(400).json({ message });
+    }
+
+    if (decoded.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+      return res.status(400).json({ message: 'Invalid verification link' });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Invalid verification link' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+router.post('/verify-email/resend', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const sentAt = user.emailVerificationSentAt;
+    if (sentAt && Date.now() - sentAt.getTime() < VERIFICATION_RESEND_INTERVAL_MS) {
+      return res.status(429).json({ message: 'Please wait a minute before requesting another verification email' });
+    }
+
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (err) {
+      console.error('Email error:', err);
+      return res.status(500).json({ message: 'Email could not be sent' });
+    }
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Forgot password
 // @route   POST /api/auth/reset-password
 // @access  Public
-router.post('/reset-password', [
+router.post('/reset-password', passwordResetLimiter, [
   body('email').isEmail().normalizeEmail()
 ], async (req, res) => {
   try {
@@ -204,7 +735,7 @@ router.post('/reset-password', [
 // @desc    Reset password
 // @route   PUT /api/auth/reset-password/:resettoken
 // @access  Public
-router.put('/reset-password/:resettoken', [
+router.put('/reset-password/:resettoken', passwordResetLimiter, [
   body('password').isLength({ min: 6 })
 ], async (req, res) => {
   try {
@@ -235,15 +766,19 @@ router.put('/reset-password/:resettoken', [
     user.password = req.body.password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    // Proving control of the email also lifts any login lockout
+    user.resetFailedLogins();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Sign out everywhere, then sign in on this device
+    await revokeAllSessions(user._id, 'password_reset');
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Password reset successful',
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -1,9 +1,19 @@
 const express = require('express');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const Brand = require('../models/Brand');
 const User = require('../models/User');
+const Campaign = require('../models/Campaign');
+const CampaignTemplate = require('../models/CampaignTemplate');
+const TeamInvitation = require('../models/TeamInvitation');
 const { protect, authorize } = require('../middleware/auth');
+const { requireBrandMember } = require('../middleware/brandAccess');
 const { upload, handleMulterError } = require('../middleware/upload');
+const { moderateBody } = require('../middleware/moderation');
+const { flagForReview } = require('../utils/moderation');
+const { paginate } = require('../utils/pagination');
+const { sendTemplateEmail } = require('../utils/email');
+const { BRAND_ROLES } = require('../utils/brandTeam');
 
 const router = express.Router();
 
@@ -22,6 +32,7 @@ router.post('/onboard',
     body('contactPerson.firstName').notEmpty().trim(),
     body('contactPerson.lastName').notEmpty().trim()
   ],
+  moderateBody('description'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -33,7 +44,7 @@ router.post('/onboard',
       }
 
       // Check if brand profile already exists
-      const existingBrand = await Brand.findOne({ userId: req.user.id });
+      const existingBrand = await Brand.findByMember(req.user.id);
       if (existingBrand) {
         return res.status(400).json({ message: 'Brand profile already exists' });
       }
@@ -73,6 +84,7 @@ router.post('/onboard',
       // Create brand profile
       const brand = await Brand.create({
         userId: req.user.id,
+        members: [{ userId: req.user.id, role: 'owner' }],
         companyName,
         website,
         industry,
@@ -87,6 +99,11 @@ router.post('/onboard',
           paymentStatus: 'pending'
         }
       });
+      await flagForReview(req.moderationFlags, {
+        targetType: 'brand',
+        targetId: brand._id,
+        reportedUserId: req.user.id
+      });
 
       res.status(201).json({
         success: true,
@@ -107,7 +124,7 @@ router.get('/profile/:id', async (req, res) => {
   try {
     const brand = await Brand.findById(req.params.id)
       .populate('userId', 'email createdAt')
-      .select('-subscription.paymentStatus'); // Don't expose payment details publicly
+      .select('-subscription.paymentStatus -members'); // Don't expose payment details or the team publicly
 
     if (!brand) {
       return res.status(404).json({ message: 'Brand not found' });
@@ -123,24 +140,26 @@ router.get('/profile/:id', async (req, res) => {
   }
 });
 
+// Profile fields that cannot be set through the update route
+const PROTECTED_FIELDS = ['subscription', 'userId', 'members'];
+
 // @desc    Update brand profile
 // @route   PUT /api/brand/update
 // @access  Private (Brand only)
 router.put('/update',
   protect,
   authorize('brand'),
+  requireBrandMember('edit_profile'),
   upload.single('logo'),
   handleMulterError,
+  moderateBody('description'),
   async (req, res) => {
     try {
-      const brand = await Brand.findOne({ userId: req.user.id });
-      if (!brand) {
-        return res.status(404).json({ message: 'Brand profile not found' });
-      }
+      const brand = req.brand;
 
       // Update fields
       Object.keys(req.body).forEach(key => {
-        if (req.body[key] !== undefined && key !== 'subscription') {
+        if (req.body[key] !== undefined && !PROTECTED_FIELDS.includes(key)) {
           if (key === 'contactPerson' && typeof req.body[key] === 'string') {
             brand[key] = JSON.parse(req.body[key]);
           } else if (key === 'location' && typeof req.body[key] === 'string') {
@@ -159,6 +178,11 @@ router.put('/update',
       }
 
       await brand.save();
+      await flagForReview(req.moderationFlags, {
+        targetType: 'brand',
+        targetId: brand._id,
+        reportedUserId: req.user.id
+      });
 
       res.json({
         success: true,
@@ -175,18 +199,21 @@ router.put('/update',
 // @desc    Get my brand profile
 // @route   GET /api/brand/me
 // @access  Private (Brand only)
-router.get('/me', protect, authorize('brand'), async (req, res) => {
+router.get('/me', protect, authorize('brand'), requireBrandMember(), async (req, res) => {
   try {
-    const brand = await Brand.findOne({ userId: req.user.id })
-      .populate('userId', 'email createdAt');
-
-    if (!brand) {
-      return res.status(404).json({ message: 'Brand profile not found' });
+    const brand = await req.brand.populate([
+      { path: 'userId', select: 'email createdAt' },
+      { path: 'members.userId', select: 'email' }
+    ]);
+
+    const data = { ...brand.toObject(), role: brand.roleOf(req.user.id) };
+    if (!brand.memberCan(req.user.id, 'view_spend')) {
+      delete data.totalSpent;
     }
 
     res.json({
       success: true,
-      data: brand
+      data
     });
   } catch (error) {
     console.error('Get my brand profile error:', error);
@@ -200,6 +227,7 @@ router.get('/me', protect, authorize('brand'), async (req, res) => {
 router.put('/subscription',
   protect,
   authorize('brand'),
+  requireBrandMember('manage_billing'),
   [
     body('plan').isIn(['basic', 'premium', 'enterprise'])
   ],
@@ -215,10 +243,7 @@ router.put('/subscription',
 
       const { plan } = req.body;
 
-      const brand = await Brand.findOne({ userId: req.user.id });
-      if (!brand) {
-        return res.status(404).json({ message: 'Brand profile not found' });
-      }
+      const brand = req.brand;
 
       // Update subscription (dummy implementation for Phase 1)
       brand.subscription.plan = plan;
@@ -246,13 +271,9 @@ router.put('/subscription',
 // @desc    Get subscription status
 // @route   GET /api/brand/subscription
 // @access  Private (Brand only)
-router.get('/subscription', protect, authorize('brand'), async (req, res) => {
+router.get('/subscription', protect, authorize('brand'), requireBrandMember(), async (req, res) => {
   try {
-    const brand = await Brand.findOne({ userId: req.user.id }).select('subscription');
-    
-    if (!brand) {
-      return res.status(404).json({ message: 'Brand profile not found' });
-    }
+    const brand = req.brand;
 
     res.json({
       success: true,
@@ -266,6 +287,444 @@ router.get('/subscription', protect, authorize('brand'), async (req, res) => {
   }
 });
 
+// Template content fields accepted from the request body
+const TEMPLATE_FIELDS = ['title', 'description', 'category', 'budget', 'deliverables', 'requirements'];
+
+// @desc    Get my campaign templates
+// @route   GET /api/brand/templates
+// @access  Private (Brand only)
+router.get('/templates', protect, authorize('brand'), requireBrandMember(), async (req, res) => {
+  try {
+    const brand = req.brand;
+
+    const page = await paginate(req, CampaignTemplate, { brandId: brand._id }, {
+      sort: { name: 1 },
+      defaultLimit: 50
+    });
+
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json({
+      success: true,
+      data: page.data,
+      pagination: page.pagination
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Create campaign template (from scratch or from an existing campaign)
+// @route   POST /api/brand/templates
+// @access  Private (Brand only)
+router.post('/templates',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_campaigns'),
+  [
+    body('name').notEmpty().trim(),
+    body('fromCampaignId').optional().isMongoId(),
+    body('deliverables').optional().isArray()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const brand = req.brand;
+
+      let content = {};
+      if (req.body.fromCampaignId) {
+        const campaign = await Campaign.findOne({ _id: req.body.fromCampaignId, brandId: brand._id });
+        if (!campaign) {
+          return res.status(404).json({ message: 'Campaign not found or not authorized' });
+        }
+        content = campaign.toObject();
+        content.deliverables = content.deliverables.map(({ _id, ...deliverable }) => deliverable);
+      }
+
+      TEMPLATE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          content[field] = req.body[field];
+        }
+      });
+
+      const template = await CampaignTemplate.create({
+        brandId: brand._id,
+        name: req.body.name,
+        ...TEMPLATE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: content[field] }), {})
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Template created successfully',
+        data: template
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'A template with this name already exists' });
+      }
+      console.error('Create template error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Update campaign template
+// @route   PUT /api/brand/templates/:id
+// @access  Private (Brand only)
+router.put('/templates/:id',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_campaigns'),
+  [
+    body('name').optional().notEmpty().trim(),
+    body('deliverables').optional().isArray()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const brand = req.brand;
+
+      const template = await CampaignTemplate.findOne({ _id: req.params.id, brandId: brand._id });
+      if (!template) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+
+      ['name', ...TEMPLATE_FIELDS].forEach(field => {
+        if (req.body[field] !== undefined) {
+          template[field] = req.body[field];
+        }
+      });
+
+      await template.save();
+
+      res.json({
+        success: true,
+        message: 'Template updated successfully',
+        data: template
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'A template with this name already exists' });
+      }
+      console.error('Update template error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Delete campaign template
+// @route   DELETE /api/brand/templates/:id
+// @access  Private (Brand only)
+router.delete('/templates/:id', protect, authorize('brand'), requireBrandMember('manage_campaigns'), async (req, res) => {
+  try {
+    const brand = req.brand;
+
+    const template = await CampaignTemplate.findOneAndDelete({ _id: req.params.id, brandId: brand._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const TEAM_INVITATION_DAYS = 7;
+
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const ownerCount = (brand) => brand.members.filter(member => member.role === 'owner').length;
+
+// @desc    Get my brand team and pending invitations
+// @route   GET /api/brand/team
+// @access  Private (Brand team members)
+router.get('/team', protect, authorize('brand'), requireBrandMember(), async (req, res) => {
+  try {
+    const brand = await req.brand.populate('members.userId', 'email');
+
+    // Only members who manage the team see who has been invited
+    const invitations = brand.memberCan(req.user.id, 'manage_team')
+      ? await TeamInvitation.find({
+        brandId: brand._id,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      }).sort({ createdAt: -1 })
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        members: brand.members,
+        invitations,
+        role: brand.roleOf(req.user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get brand team error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Invite someone to the brand team by email
+// @route   POST /api/brand/team/invitations
+// @access  Private (Brand owners)
+router.post('/team/invitations',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_team'),
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('role').isIn(BRAND_ROLES)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const brand = req.brand;
+      const { email, role } = req.body;
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser && brand.isMember(existingUser._id)) {
+        return res.status(400).json({ message: 'This user is already a team member' });
+      }
+
+      // A new invitation replaces any earlier one to the same address
+      await TeamInvitation.updateMany(
+        { brandId: brand._id, email, status: 'pending' },
+        { status: 'revoked', updatedAt: Date.now() }
+      );
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const invitation = await TeamInvitation.create({
+        brandId: brand._id,
+        email,
+        role,
+        tokenHash: hashInvitationToken(token),
+        invitedBy: req.user.id,
+        expiresAt: new Date(Date.now() + TEAM_INVITATION_DAYS * 24 * 60 * 60 * 1000)
+      });
+
+      const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/brand/team/accept?token=${token}`;
+
+      try {
+        await sendTemplateEmail(email, 'brandTeamInvitation', brand.companyName, role, acceptUrl, invitation.expiresAt);
+      } catch (err) {
+        console.error('Team invitation email error:', err);
+        invitation.status = 'revoked';
+        await invitation.save();
+        return res.status(500).json({ message: 'Email could not be sent' });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: invitation
+      });
+    } catch (error) {
+      console.error('Invite team member error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Accept a brand team invitation
+// @route   POST /api/brand/team/invitations/accept
+// @access  Private (Brand only)
+router.post('/team/invitations/accept',
+  protect,
+  authorize('brand'),
+  [
+    body('token').isString().notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const invitation = await TeamInvitation.findOne({
+        tokenHash: hashInvitationToken(req.body.token),
+        status: 'pending'
+      });
+
+      if (!invitation || invitation.expiresAt <= new Date()) {
+        return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+      }
+
+      // The link only works for the address it was sent to
+      if (invitation.email !== req.user.email) {
+        return res.status(403).json({ message: 'This invitation was sent to a different email address' });
+      }
+
+      const existingBrand = await Brand.findByMember(req.user.id);
+      if (existingBrand) {
+        return res.status(409).json({ message: 'You are already a member of a brand team' });
+      }
+
+      const brand = await Brand.findById(invitation.brandId);
+      if (!brand) {
+        return res.status(404).json({ message: 'Brand not found' });
+      }
+
+      brand.members.push({ userId: req.user.id, role: invitation.role, addedBy: invitation.invitedBy });
+      await brand.save();
+
+      invitation.status = 'accepted';
+      invitation.acceptedBy = req.user.id;
+      invitation.acceptedAt = new Date();
+      await invitation.save();
+
+      res.json({
+        success: true,
+        message: `You have joined ${brand.companyName} as ${invitation.role}`,
+        data: {
+          brandId: brand._id,
+          role: invitation.role
+        }
+      });
+    } catch (error) {
+      console.error('Accept team invitation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Revoke a pending team invitation
+// @route   DELETE /api/brand/team/invitations/:id
+// @access  Private (Brand owners)
+router.delete('/team/invitations/:id', protect, authorize('brand'), requireBrandMember('manage_team'), async (req, res) => {
+  try {
+    const invitation = await TeamInvitation.findOneAndUpdate(
+      { _id: req.params.id, brandId: req.brand._id, status: 'pending' },
+      { status: 'revoked', updatedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke team invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Change a team member's role
+// @route   PUT /api/brand/team/members/:userId
+// @access  Private (Brand owners)
+router.put('/team/members/:userId',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_team'),
+  [
+    body('role').isIn(BRAND_ROLES)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const brand = req.brand;
+      const member = brand.members.find(m => m.userId.toString() === req.params.userId);
+      if (!member) {
+        return res.status(404).json({ message: 'Team member not found' });
+      }
+
+      if (member.role === 'owner' && req.body.role !== 'owner' && ownerCount(brand) === 1) {
+        return res.status(400).json({ message: 'The brand must keep at least one owner' });
+      }
+
+      member.role = req.body.role;
+      await brand.save();
+
+      res.json({
+        success: true,
+        message: 'Team member role updated successfully',
+        data: member
+      });
+    } catch (error) {
+      console.error('Update team member error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Remove a team member, or leave the team
+// @route   DELETE /api/brand/team/members/:userId
+// @access  Private (Brand owners, or the member themselves)
+router.delete('/team/members/:userId', protect, authorize('brand'), requireBrandMember(), async (req, res) => {
+  try {
+    const brand = req.brand;
+    const leaving = req.params.userId === req.user.id;
+
+    if (!leaving && !brand.memberCan(req.user.id, 'manage_team')) {
+      return res.status(403).json({ message: `Your ${brand.roleOf(req.user.id)} role does not allow this action` });
+    }
+
+    const member = brand.members.find(m => m.userId.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    if (member.role === 'owner' && ownerCount(brand) === 1) {
+      return res.status(400).json({ message: 'The brand must keep at least one owner' });
+    }
+
+    brand.members = brand.members.filter(m => m !== member);
+    await brand.save();
+
+    res.json({
+      success: true,
+      message: leaving ? 'You have left the team' : 'Team member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Search brands (for admin or public use)
 // @route   GET /api/brand/search
 // @access  Public
@@ -274,9 +733,7 @@ router.get('/search', async (req, res) => {
     const {
       industry,
       location,
-      verified,
-      page = 1,
-      limit = 10
+      verified
     } = req.query;
 
     // Build query
@@ -294,24 +751,21 @@ router.get('/search', async (req, res) => {
       query.verified = verified === 'true';
     }
 
-    const brands = await Brand.find(query)
-      .populate('userId', 'email')
-      .select('-subscription')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+    const page = await paginate(req, Brand, query, {
+      sort: { createdAt: -1 },
+      build: find => find
+        .populate('userId', 'email')
+        .select('-subscription -members')
+    });
 
-    const total = await Brand.countDocuments(query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
 
     res.json({
       success: true,
-      data: brands,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      data: page.data,
+      pagination: page.pagination
     });
   } catch (error) {
     console.error('Search brands error:', error);
@@ -1,19 +1,86 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, header, validationResult } = require('express-validator');
 const Campaign = require('../models/Campaign');
 const Brand = require('../models/Brand');
 const Influencer = require('../models/Influencer');
-const { protect, authorize } = require('../middleware/auth');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const CampaignTemplate = require('../models/CampaignTemplate');
+const { protect, authorize, requireVerifiedEmail, optionalAuth } = require('../middleware/auth');
+const { requireBrandMember } = require('../middleware/brandAccess');
 const { upload, handleMulterError } = require('../middleware/upload');
+const { moderateBody } = require('../middleware/moderation');
+const { sendTemplateEmail } = require('../utils/email');
+const { transitionCampaign, canSelectionTransition } = require('../utils/campaignLifecycle');
+const {
+  getAvailableFunds,
+  getCampaignBalances,
+  fundCampaign,
+  holdForSelections,
+  releaseForSelection,
+  refundCampaign
+} = require('../utils/ledger');
+const { recommendInfluencers, resolveWeights, validateWeights } = require('../utils/matching');
+const { checkRequirements, evaluateEligibility } = require('../utils/eligibility');
+const { SORT_OPTIONS, buildSearchFilter, resolveSort, getFacets } = require('../utils/campaignSearch');
+const { paginate, parseLimit } = require('../utils/pagination');
+const { flagForReview } = require('../utils/moderation');
 
 const router = express.Router();
 
+// Check timeline ordering. Returns an error message or null.
+const validateTimeline = (timeline, { requireFutureDeadline = true } = {}) => {
+  const now = new Date();
+  const applicationDeadline = new Date(timeline.applicationDeadline);
+  const campaignStart = new Date(timeline.campaignStart);
+  const campaignEnd = new Date(timeline.campaignEnd);
+
+  if (requireFutureDeadline && applicationDeadline <= now) {
+    return 'Application deadline must be in the future';
+  }
+
+  if (campaignStart <= applicationDeadline) {
+    return 'Campaign start must be after application deadline';
+  }
+
+  if (campaignEnd <= campaignStart) {
+    return 'Campaign end must be after campaign start';
+  }
+
+  return null;
+};
+
+// Pre-fill the request body from one of the brand's templates when templateId is given
+const applyTemplate = async (req, res, next) => {
+  if (!req.body.templateId) return next();
+
+  try {
+    const template = await CampaignTemplate.findOne({
+      _id: req.body.templateId,
+      brandId: req.brand._id
+    });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    req.body = { ...template.toCampaignFields(), ...req.body };
+    next();
+  } catch (error) {
+    console.error('Apply template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Create campaign
 // @route   POST /api/campaigns/create
 // @access  Private (Brand only)
 router.post('/create',
   protect,
   authorize('brand'),
+  requireBrandMember('manage_campaigns'),
+  requireVerifiedEmail,
+  applyTemplate,
   [
     body('title').notEmpty().trim(),
     body('description').notEmpty().trim(),
@@ -25,6 +92,7 @@ router.post('/create',
     body('timeline.campaignStart').isISO8601(),
     body('timeline.campaignEnd').isISO8601()
   ],
+  moderateBody('title', 'description'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -36,10 +104,7 @@ router.post('/create',
       }
 
       // Get brand profile
-      const brand = await Brand.findOne({ userId: req.user.id });
-      if (!brand) {
-        return res.status(404).json({ message: 'Brand profile not found' });
-      }
+      const brand = req.brand;
 
       // Check if brand has active subscription
       if (brand.subscription.status !== 'active') {
@@ -57,25 +122,13 @@ router.post('/create',
       } = req.body;
 
       // Validate timeline
-      const now = new Date();
-      const applicationDeadline = new Date(timeline.applicationDeadline);
-      const campaignStart = new Date(timeline.campaignStart);
-      const campaignEnd = new Date(timeline.campaignEnd);
-
-      if (applicationDeadline <= now) {
-        return res.status(400).json({ message: 'Application deadline must be in the future' });
-      }
-
-      if (campaignStart <= applicationDeadline) {
-        return res.status(400).json({ message: 'Campaign start must be after application deadline' });
-      }
-
-      if (campaignEnd <= campaignStart) {
-        return res.status(400).json({ message: 'Campaign end must be after campaign start' });
+      const timelineError = validateTimeline(timeline);
+      if (timelineError) {
+        return res.status(400).json({ message: timelineError });
       }
 
-      // Create campaign
-      const campaign = await Campaign.create({
+      // Create campaign and publish it straight away
+      const campaign = new Campaign({
         brandId: brand._id,
         title,
         description,
@@ -83,8 +136,19 @@ router.post('/create',
         budget,
         deliverables,
         requirements: requirements || {},
-        timeline,
-        status: 'active'
+        timeline
+      });
+
+      const transitionError = transitionCampaign(campaign, 'active', req.user.id);
+      if (transitionError) {
+        return res.status(transitionError.statusCode).json({ message: transitionError.message });
+      }
+
+      await campaign.save();
+      await flagForReview(req.moderationFlags, {
+        targetType: 'campaign',
+        targetId: campaign._id,
+        reportedUserId: req.user.id
       });
 
       // Update brand's campaign count
@@ -103,10 +167,66 @@ router.post('/create',
   }
 );
 
+// @desc    Get my campaigns (brand)
+// @route   GET /api/campaigns/my
+// @access  Private (Brand only)
+// Registered before /:id so "my" is not treated as a campaign id
+router.get('/my', protect, authorize('brand'), requireBrandMember(), async (req, res) => {
+  try {
+    const brand = req.brand;
+
+    const page = await paginate(req, Campaign, { brandId: brand._id }, {
+      sort: { createdAt: -1 },
+      build: find => find
+        .populate('applications.influencerId', 'firstName lastName profilePicture totalFollowers')
+        .populate('selectedInfluencers.influencerId', 'firstName lastName profilePicture totalFollowers')
+    });
+
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json({
+      success: true,
+      data: page.data,
+      pagination: page.pagination
+    });
+  } catch (error) {
+    console.error('Get my campaigns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Negotiation history is private to the campaign's brand team and the
+// influencer who applied; everyone else gets applications without offers
+const withVisibleOffers = async (campaign, user) => {
+  const data = campaign.toObject();
+  const brandId = campaign.brandId && campaign.brandId._id ? campaign.brandId._id : campaign.brandId;
+
+  if (user && user.role === 'brand' && await Brand.exists({ _id: brandId, 'members.userId': user._id })) {
+    return data;
+  }
+
+  const influencer = user && user.role === 'influencer'
+    ? await Influencer.findOne({ userId: user._id }).select('_id')
+    : null;
+
+  data.applications.forEach(application => {
+    const applicantId = application.influencerId && application.influencerId._id
+      ? application.influencerId._id
+      : application.influencerId;
+    if (!influencer || !applicantId || applicantId.toString() !== influencer._id.toString()) {
+      delete application.offers;
+    }
+  });
+
+  return data;
+};
+
 // @desc    Get campaign details
 // @route   GET /api/campaigns/:id
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id)
       .populate('brandId', 'companyName logo industry')
@@ -119,7 +239,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: campaign
+      data: await withVisibleOffers(campaign, req.user)
     });
   } catch (error) {
     console.error('Get campaign error:', error);
@@ -127,15 +247,70 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// @desc    Update campaign status
-// @route   PUT /api/campaigns/:id/status
+// Fields that can no longer change once applications or selections exist.
+// Returns a list of { field, message } violations.
+const findLockedFieldChanges = (campaign, updates) => {
+  const violations = [];
+
+  if (campaign.applications.length > 0) {
+    if (updates.category !== undefined && updates.category !== campaign.category) {
+      violations.push({ field: 'category', message: 'Category is locked once applications exist' });
+    }
+
+    if (updates.requirements !== undefined) {
+      violations.push({ field: 'requirements', message: 'Requirements are locked once applications exist' });
+    }
+  }
+
+  if (campaign.selectedInfluencers.length > 0) {
+    const budget = updates.budget || {};
+
+    if (budget.min !== undefined && Number(budget.min) < campaign.budget.min) {
+      violations.push({ field: 'budget.min', message: 'Budget cannot be reduced once influencers are selected' });
+    }
+
+    if (budget.max !== undefined && Number(budget.max) < campaign.budget.max) {
+      violations.push({ field: 'budget.max', message: 'Budget cannot be reduced once influencers are selected' });
+    }
+
+    if (budget.currency !== undefined && budget.currency !== campaign.budget.currency) {
+      violations.push({ field: 'budget.currency', message: 'Currency is locked once influencers are selected' });
+    }
+
+    if (updates.deliverables !== undefined) {
+      campaign.deliverables.forEach(existing => {
+        const updated = updates.deliverables.find(d => d._id && d._id.toString() === existing._id.toString());
+        if (!updated) {
+          violations.push({ field: 'deliverables', message: `Deliverable ${existing._id} cannot be removed once influencers are selected` });
+        } else if (Number(updated.quantity) < existing.quantity) {
+          violations.push({ field: 'deliverables', message: `Deliverable ${existing._id} quantity cannot be reduced once influencers are selected` });
+        }
+      });
+    }
+  }
+
+  return violations;
+};
+
+// @desc    Update campaign content
+// @route   PUT /api/campaigns/:id
 // @access  Private (Brand only)
-router.put('/:id/status',
+router.put('/:id',
   protect,
   authorize('brand'),
+  requireBrandMember('manage_campaigns'),
   [
-    body('status').isIn(['draft', 'active', 'paused', 'completed', 'cancelled'])
+    body('title').optional().notEmpty().trim(),
+    body('description').optional().notEmpty().trim(),
+    body('category').optional().notEmpty(),
+    body('budget.min').optional().isNumeric(),
+    body('budget.max').optional().isNumeric(),
+    body('deliverables').optional().isArray({ min: 1 }),
+    body('timeline.applicationDeadline').optional().isISO8601(),
+    body('timeline.campaignStart').optional().isISO8601(),
+    body('timeline.campaignEnd').optional().isISO8601()
   ],
+  moderateBody('title', 'description'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -146,13 +321,8 @@ router.put('/:id/status',
         });
       }
 
-      const { status } = req.body;
-
       // Get brand profile
-      const brand = await Brand.findOne({ userId: req.user.id });
-      if (!brand) {
-        return res.status(404).json({ message: 'Brand profile not found' });
-      }
+      const brand = req.brand;
 
       const campaign = await Campaign.findOne({ 
         _id: req.params.id, 
@@ -163,32 +333,116 @@ router.put('/:id/status',
         return res.status(404).json({ message: 'Campaign not found or not authorized' });
       }
 
-      campaign.status = status;
+      if (['completed', 'cancelled'].includes(campaign.status)) {
+        return res.status(400).json({ message: `Cannot edit a ${campaign.status} campaign` });
+      }
+
+      const lockedFields = findLockedFieldChanges(campaign, req.body);
+      if (lockedFields.length > 0) {
+        return res.status(409).json({
+          message: 'Some fields can no longer be changed',
+          lockedFields
+        });
+      }
+
+      const { title, description, category, budget, deliverables, requirements, timeline } = req.body;
+
+      if (timeline) {
+        const current = campaign.timeline.toObject();
+        const merged = { ...current, ...timeline };
+        const deadlineChanged = timeline.applicationDeadline !== undefined &&
+          new Date(timeline.applicationDeadline).getTime() !== new Date(current.applicationDeadline).getTime();
+
+        const timelineError = validateTimeline(merged, { requireFutureDeadline: deadlineChanged });
+        if (timelineError) {
+          return res.status(400).json({ message: timelineError });
+        }
+        campaign.timeline = merged;
+
+        // Reopen applications for the scheduler if the deadline moved back into the future
+        if (deadlineChanged) {
+          campaign.applicationsClosedAt = undefined;
+        }
+      }
+
+      if (budget) {
+        const merged = { ...campaign.budget.toObject(), ...budget };
+        if (Number(merged.max) < Number(merged.min)) {
+          return res.status(400).json({ message: 'Budget max must not be lower than budget min' });
+        }
+        if (Number(merged.max) < campaign.totalBudgetAllocated) {
+          return res.status(400).json({ message: `Budget max cannot be lower than the ${campaign.totalBudgetAllocated} already allocated` });
+        }
+        campaign.budget = merged;
+      }
+
+      if (title !== undefined) campaign.title = title;
+      if (description !== undefined) campaign.description = description;
+      if (category !== undefined) campaign.category = category;
+      if (deliverables !== undefined) campaign.deliverables = deliverables;
+      if (requirements !== undefined) campaign.requirements = requirements;
+
       await campaign.save();
+      await flagForReview(req.moderationFlags, {
+        targetType: 'campaign',
+        targetId: campaign._id,
+        reportedUserId: req.user.id
+      });
 
       res.json({
         success: true,
-        message: 'Campaign status updated successfully',
+        message: 'Campaign updated successfully',
         data: campaign
       });
     } catch (error) {
-      console.error('Update campaign status error:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Update campaign error:', error);
       res.status(500).json({ message: 'Server error' });
     }
   }
 );
 
-// @desc    Submit proof of work
-// @route   POST /api/campaigns/:id/proof
-// @access  Private (Influencer only)
-router.post('/:id/proof',
+// Load the campaign being cloned and fill the copied title and description
+// into the body, so moderateBody checks them against the current rules
+const loadCloneSource = async (req, res, next) => {
+  try {
+    const source = await Campaign.findOne({
+      _id: req.params.id,
+      brandId: req.brand._id
+    });
+
+    if (!source) {
+      return res.status(404).json({ message: 'Campaign not found or not authorized' });
+    }
+
+    req.cloneSource = source;
+    req.body.title = req.body.title || `${source.title} (copy)`;
+    req.body.description = source.description;
+    next();
+  } catch (error) {
+    console.error('Clone campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Clone campaign into a new draft
+// @route   POST /api/campaigns/:id/clone
+// @access  Private (Brand only)
+router.post('/:id/clone',
   protect,
-  authorize('influencer'),
-  upload.array('proofFiles', 5),
-  handleMulterError,
+  authorize('brand'),
+  requireBrandMember('manage_campaigns'),
+  requireVerifiedEmail,
   [
-    body('proofData').notEmpty()
+    body('title').optional().notEmpty().trim(),
+    body('timeline.applicationDeadline').optional().isISO8601(),
+    body('timeline.campaignStart').optional().isISO8601(),
+    body('timeline.campaignEnd').optional().isISO8601()
   ],
+  loadCloneSource,
+  moderateBody('title', 'description'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -199,92 +453,107 @@ router.post('/:id/proof',
         });
       }
 
-      // Get influencer profile
-      const influencer = await Influencer.findOne({ userId: req.user.id });
-      if (!influencer) {
-        return res.status(404).json({ message: 'Influencer profile not found' });
-      }
-
-      const campaign = await Campaign.findById(req.params.id);
-      if (!campaign) {
-        return res.status(404).json({ message: 'Campaign not found' });
-      }
-
-      // Check if influencer is selected for this campaign
-      const selectedInfluencer = campaign.selectedInfluencers.find(
-        si => si.influencerId.toString() === influencer._id.toString()
-      );
-
-      if (!selectedInfluencer) {
-        return res.status(403).json({ message: 'Not authorized for this campaign' });
-      }
+      // Get brand profile
+      const brand = req.brand;
 
-      if (selectedInfluencer.status !== 'in_progress') {
-        return res.status(400).json({ message: 'Campaign is not in progress' });
+      // Check if brand has active subscription
+      if (brand.subscription.status !== 'active') {
+        return res.status(403).json({ message: 'Active subscription required to create campaigns' });
       }
 
-      // Parse proof data
-      let proofData;
-      try {
-        proofData = JSON.parse(req.body.proofData);
-      } catch (error) {
-        return res.status(400).json({ message: 'Invalid proof data format' });
-      }
+      const source = req.cloneSource;
 
-      // Process uploaded files
-      const proofOfWork = [];
-      if (req.files && req.files.length > 0) {
-        req.files.forEach(file => {
-          proofOfWork.push({
-            url: file.path,
-            platform: proofData.platform || 'unknown',
-            type: proofData.type || 'file'
-          });
-        });
+      // A new timeline is optional; the clone stays a draft until it is activated
+      const timeline = req.body.timeline || source.timeline.toObject();
+      if (req.body.timeline) {
+        const timelineError = validateTimeline(timeline);
+        if (timelineError) {
+          return res.status(400).json({ message: timelineError });
+        }
       }
 
-      // Add URL-based proof if provided
-      if (proofData.urls && Array.isArray(proofData.urls)) {
-        proofData.urls.forEach(urlData => {
-          proofOfWork.push({
-            url: urlData.url,
-            platform: urlData.platform,
-            type: urlData.type || 'link'
-          });
-        });
-      }
+      const { category, budget, deliverables, requirements } = source.toObject();
 
-      // Update selected influencer with proof
-      selectedInfluencer.proofOfWork.push(...proofOfWork);
-      selectedInfluencer.status = 'submitted';
-      selectedInfluencer.submittedAt = new Date();
+      const campaign = await Campaign.create({
+        brandId: brand._id,
+        title: req.body.title,
+        description: req.body.description,
+        category,
+        budget,
+        deliverables: deliverables.map(({ _id, ...deliverable }) => deliverable),
+        requirements,
+        timeline,
+        statusHistory: [{ to: 'draft', actor: req.user.id }]
+      });
+      await flagForReview(req.moderationFlags, {
+        targetType: 'campaign',
+        targetId: campaign._id,
+        reportedUserId: req.user.id
+      });
 
-      await campaign.save();
+      brand.campaignsCreated += 1;
+      await brand.save();
 
-      res.json({
+      res.status(201).json({
         success: true,
-        message: 'Proof of work submitted successfully',
-        data: {
-          campaignId: campaign._id,
-          proofOfWork: selectedInfluencer.proofOfWork
-        }
+        message: 'Campaign cloned successfully',
+        data: campaign
       });
     } catch (error) {
-      console.error('Submit proof error:', error);
+      console.error('Clone campaign error:', error);
       res.status(500).json({ message: 'Server error' });
     }
   }
 );
 
-// @desc    Apply to campaign
-// @route   POST /api/campaigns/:id/apply
-// @access  Private (Influencer only)
-router.post('/:id/apply',
+// @desc    Get recommended influencers for a campaign
+// @route   GET /api/campaigns/:id/recommended-influencers
+// @access  Private (Brand only)
+router.get('/:id/recommended-influencers', protect, authorize('brand'), requireBrandMember(), async (req, res) => {
+  try {
+    const { weights, limit = 10 } = req.query;
+
+    const weightsError = validateWeights(weights);
+    if (weightsError) {
+      return res.status(400).json({ message: weightsError });
+    }
+
+    const brand = req.brand;
+
+    const campaign = await Campaign.findOne({ 
+      _id: req.params.id, 
+      brandId: brand._id 
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found or not authorized' });
+    }
+
+    const recommendations = await recommendInfluencers(campaign, {
+      weights,
+      limit: parseLimit(limit, 10, 50)
+    });
+
+    res.json({
+      success: true,
+      data: recommendations,
+      weights: resolveWeights(weights)
+    });
+  } catch (error) {
+    console.error('Get recommended influencers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update campaign status
+// @route   PUT /api/campaigns/:id/status
+// @access  Private (Brand only)
+router.put('/:id/status',
   protect,
-  authorize('influencer'),
+  authorize('brand'),
+  requireBrandMember('manage_campaigns'),
   [
-    body('proposedRate').isNumeric(),
-    body('message').optional().trim()
+    body('status').isIn(['draft', 'active', 'paused', 'completed', 'cancelled'])
   ],
   async (req, res) => {
     try {
@@ -296,28 +565,683 @@ router.post('/:id/apply',
         });
       }
 
-      // Get influencer profile
-      const influencer = await Influencer.findOne({ userId: req.user.id });
-      if (!influencer) {
-        return res.status(404).json({ message: 'Influencer profile not found' });
-      }
+      const { status } = req.body;
 
-      if (influencer.status !== 'approved') {
-        return res.status(403).json({ message: 'Influencer profile must be approved to apply' });
-      }
+      // Get brand profile
+      const brand = req.brand;
+
+      const campaign = await Campaign.findOne({ 
+        _id: req.params.id, 
+        brandId: brand._id 
+      });
 
-      const campaign = await Campaign.findById(req.params.id);
       if (!campaign) {
-        return res.status(404).json({ message: 'Campaign not found' });
+        return res.status(404).json({ message: 'Campaign not found or not authorized' });
       }
 
-      if (campaign.status !== 'active') {
-        return res.status(400).json({ message: 'Campaign is not active' });
+      const transitionError = transitionCampaign(campaign, status, req.user.id);
+      if (transitionError) {
+        return res.status(transitionError.statusCode).json({
+          message: transitionError.message,
+          currentStatus: campaign.status,
+          allowedTransitions: transitionError.allowedTransitions
+        });
       }
 
-      // Check application deadline
-      if (new Date() > new Date(campaign.timeline.applicationDeadline)) {
-        return res.status(400).json({ message: 'Application deadline has passed' });
+      await campaign.save();
+
+      // Return unspent escrow to the brand once the campaign is closed
+      if (['cancelled', 'completed'].includes(campaign.status)) {
+        await refundCampaign(campaign, req.user.id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Campaign status updated successfully',
+        data: campaign
+      });
+    } catch (error) {
+      console.error('Update campaign status error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Fund campaign escrow
+// @route   POST /api/campaigns/:id/fund
+// @access  Private (Brand only)
+router.post('/:id/fund',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_funds'),
+  [
+    body('amount').isFloat({ gt: 0 }),
+    header('Idempotency-Key').optional().isString().isLength({ min: 1, max: 255 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      // Get brand profile
+      const brand = req.brand;
+
+      const campaign = await Campaign.findOne({ 
+        _id: req.params.id, 
+        brandId: brand._id 
+      });
+
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found or not authorized' });
+      }
+
+      if (['completed', 'cancelled'].includes(campaign.status)) {
+        return res.status(400).json({ message: `Cannot fund a ${campaign.status} campaign` });
+      }
+
+      // Clients retrying a timed-out request send the same Idempotency-Key
+      // so the brand is only charged once
+      const transaction = await fundCampaign(
+        campaign,
+        Number(req.body.amount),
+        req.user.id,
+        req.get('Idempotency-Key')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Campaign funded successfully',
+        data: {
+          transaction,
+          balances: await getCampaignBalances(campaign._id)
+        }
+      });
+    } catch (error) {
+      console.error('Fund campaign error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Get campaign ledger
+// @route   GET /api/campaigns/:id/ledger
+// @access  Private (Brand only)
+router.get('/:id/ledger', protect, authorize('brand'), requireBrandMember('view_spend'), async (req, res) => {
+  try {
+    const brand = req.brand;
+
+    const campaign = await Campaign.findOne({ 
+      _id: req.params.id, 
+      brandId: brand._id 
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found or not authorized' });
+    }
+
+    const page = await paginate(req, LedgerTransaction, { campaignId: campaign._id }, {
+      sort: { createdAt: 1 },
+      build: find => find.populate('influencerId', 'firstName lastName')
+    });
+
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        balances: await getCampaignBalances(campaign._id),
+        transactions: page.data
+      },
+      pagination: page.pagination
+    });
+  } catch (error) {
+    console.error('Get campaign ledger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Submit proof of work
+// @route   POST /api/campaigns/:id/proof
+// @access  Private (Influencer only)
+router.post('/:id/proof',
+  protect,
+  authorize('influencer'),
+  upload.array('proofFiles', 5),
+  handleMulterError,
+  [
+    body('proofData').notEmpty(),
+    body('deliverableId').optional().isMongoId()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      // Get influencer profile
+      const influencer = await Influencer.findOne({ userId: req.user.id });
+      if (!influencer) {
+        return res.status(404).json({ message: 'Influencer profile not found' });
+      }
+
+      const campaign = await Campaign.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      // Check if influencer is selected for this campaign
+      const selectedInfluencer = campaign.selectedInfluencers.find(
+        si => si.influencerId.toString() === influencer._id.toString()
+      );
+
+      if (!selectedInfluencer) {
+        return res.status(403).json({ message: 'Not authorized for this campaign' });
+      }
+
+      if (!canSelectionTransition(selectedInfluencer.status, 'submitted')) {
+        return res.status(400).json({ message: 'Campaign is not in progress' });
+      }
+
+      // Parse proof data
+      let proofData;
+      try {
+        proofData = JSON.parse(req.body.proofData);
+      } catch (error) {
+        return res.status(400).json({ message: 'Invalid proof data format' });
+      }
+
+      if (!proofData || typeof proofData !== 'object') {
+        return res.status(400).json({ message: 'Invalid proof data format' });
+      }
+
+      // Deliverable ids may also arrive inside proofData, so check them all before they are cast
+      proofData.deliverableId = proofData.deliverableId || req.body.deliverableId;
+      const deliverableIds = [proofData.deliverableId]
+        .concat(Array.isArray(proofData.urls) ? proofData.urls.map(urlData => urlData && urlData.deliverableId) : [])
+        .filter(Boolean);
+      if (deliverableIds.some(deliverableId => !mongoose.isValidObjectId(deliverableId))) {
+        return res.status(400).json({ message: 'Invalid deliverableId' });
+      }
+
+      // Process uploaded files
+      const proofOfWork = [];
+      if (req.files && req.files.length > 0) {
+        req.files.forEach(file => {
+          proofOfWork.push({
+            deliverableId: proofData.deliverableId,
+            url: file.path,
+            platform: proofData.platform || 'unknown',
+            type: proofData.type || 'file'
+          });
+        });
+      }
+
+      // Add URL-based proof if provided
+      if (proofData.urls && Array.isArray(proofData.urls)) {
+        proofData.urls.forEach(urlData => {
+          proofOfWork.push({
+            deliverableId: urlData.deliverableId || proofData.deliverableId,
+            url: urlData.url,
+            platform: urlData.platform,
+            type: urlData.type || 'link'
+          });
+        });
+      }
+
+      // Update selected influencer with proof
+      selectedInfluencer.proofOfWork.push(...proofOfWork);
+      const sync = campaign.syncDeliverableStatus(selectedInfluencer, req.user.id);
+      if (sync.message) {
+        return res.status(sync.statusCode).json({
+          message: sync.message,
+          currentStatus: selectedInfluencer.status,
+          allowedTransitions: sync.allowedTransitions
+        });
+      }
+      selectedInfluencer.submittedAt = new Date();
+
+      await campaign.save();
+
+      res.json({
+        success: true,
+        message: 'Proof of work submitted successfully',
+        data: {
+          campaignId: campaign._id,
+          proofOfWork: selectedInfluencer.proofOfWork
+        }
+      });
+    } catch (error) {
+      console.error('Submit proof error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Release escrow for milestones that have become payable and mark them paid.
+// Milestones with nothing left in escrow to release stay payable and are returned.
+const payMilestones = async (campaign, selectedInfluencer, milestones, actorId) => {
+  if (milestones.length === 0) return [];
+
+  const unpaid = [];
+  for (const milestone of milestones) {
+    const release = milestone.amount > 0
+      ? await releaseForSelection(campaign, selectedInfluencer.influencerId, actorId, {
+        amount: milestone.amount,
+        key: `milestone:${milestone._id}`
+      })
+      : null;
+
+    if (!release && milestone.amount > 0) {
+      unpaid.push(milestone);
+      continue;
+    }
+
+    milestone.status = 'paid';
+    milestone.paidAt = new Date();
+  }
+
+  await campaign.save();
+  return unpaid;
+};
+
+// Warning for milestones that could not be paid out of escrow, or null
+const unpaidMilestonesWarning = (unpaid) => (unpaid.length > 0
+  ? `${unpaid.length} payable milestone(s) could not be paid because no escrow is held for this influencer`
+  : null);
+
+// @desc    Review a proof of work item
+// @route   PUT /api/campaigns/:id/proof/:proofId/review
+// @access  Private (Brand only)
+router.put('/:id/proof/:proofId/review',
+  protect,
+  authorize('brand'),
+  requireBrandMember('approve_deliverables'),
+  [
+    body('action').isIn(['approve', 'request_revision', 'reject']),
+    body('comments').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const { action, comments } = req.body;
+
+      if (action === 'request_revision' && !comments) {
+        return res.status(400).json({ message: 'Comments are required when requesting a revision' });
+      }
+
+      // Get brand profile
+      const brand = req.brand;
+
+      const campaign = await Campaign.findOne({ 
+        _id: req.params.id, 
+        brandId: brand._id 
+      });
+
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found or not authorized' });
+      }
+
+      const selectedInfluencer = campaign.selectedInfluencers.find(
+        si => si.proofOfWork.id(req.params.proofId)
+      );
+
+      if (!selectedInfluencer) {
+        return res.status(404).json({ message: 'Proof of work not found' });
+      }
+
+      const proof = selectedInfluencer.proofOfWork.id(req.params.proofId);
+
+      if (proof.status !== 'pending') {
+        return res.status(400).json({ message: 'Proof of work is not awaiting review' });
+      }
+
+      if (action === 'approve') {
+        proof.status = 'approved';
+      } else if (action === 'reject') {
+        proof.status = 'rejected';
+      } else {
+        proof.status = 'revision_requested';
+        proof.revisions.push({
+          round: proof.revisions.length + 1,
+          comments,
+          requestedBy: req.user.id,
+          previousUrl: proof.url
+        });
+      }
+
+      proof.reviewComments = comments;
+      proof.reviewedAt = new Date();
+
+      // Milestones linked to this deliverable become payable once its proof is approved
+      const payableMilestones = action === 'approve' && proof.deliverableId
+        ? campaign.markMilestonesPayable(selectedInfluencer, { deliverableId: proof.deliverableId })
+        : [];
+
+      const sync = campaign.syncDeliverableStatus(selectedInfluencer, req.user.id);
+      if (sync.message) {
+        return res.status(sync.statusCode).json({
+          message: sync.message,
+          currentStatus: selectedInfluencer.status,
+          allowedTransitions: sync.allowedTransitions
+        });
+      }
+
+      const deliverableApproved = sync.approved;
+      if (deliverableApproved) {
+        payableMilestones.push(...campaign.markMilestonesPayable(selectedInfluencer, { all: true }));
+      }
+
+      await campaign.save();
+      const unpaid = await payMilestones(campaign, selectedInfluencer, payableMilestones, req.user.id);
+
+      if (deliverableApproved) {
+        await Influencer.updateOne(
+          { _id: selectedInfluencer.influencerId },
+          { $inc: { completedCampaigns: 1 } }
+        );
+        // Pay out whatever part of the agreed rate is not covered by milestones
+        await releaseForSelection(campaign, selectedInfluencer.influencerId, req.user.id);
+      }
+
+      const warning = unpaidMilestonesWarning(unpaid);
+
+      res.json({
+        success: true,
+        message: 'Proof of work reviewed successfully',
+        ...(warning && { warning }),
+        data: {
+          proof,
+          deliverableStatus: selectedInfluencer.status,
+          approvedAt: selectedInfluencer.approvedAt,
+          milestones: selectedInfluencer.milestones,
+          unpaidMilestones: unpaid.map(milestone => milestone._id)
+        }
+      });
+    } catch (error) {
+      console.error('Review proof error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Resubmit a proof of work item after a revision request
+// @route   PUT /api/campaigns/:id/proof/:proofId/resubmit
+// @access  Private (Influencer only)
+router.put('/:id/proof/:proofId/resubmit',
+  protect,
+  authorize('influencer'),
+  upload.single('proofFile'),
+  handleMulterError,
+  [
+    body('url').optional().isURL()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      if (!req.file && !req.body.url) {
+        return res.status(400).json({ message: 'A proof file or URL is required' });
+      }
+
+      // Get influencer profile
+      const influencer = await Influencer.findOne({ userId: req.user.id });
+      if (!influencer) {
+        return res.status(404).json({ message: 'Influencer profile not found' });
+      }
+
+      const campaign = await Campaign.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      const selectedInfluencer = campaign.selectedInfluencers.find(
+        si => si.influencerId.toString() === influencer._id.toString()
+      );
+
+      if (!selectedInfluencer) {
+        return res.status(403).json({ message: 'Not authorized for this campaign' });
+      }
+
+      const proof = selectedInfluencer.proofOfWork.id(req.params.proofId);
+      if (!proof) {
+        return res.status(404).json({ message: 'Proof of work not found' });
+      }
+
+      if (proof.status !== 'revision_requested') {
+        return res.status(400).json({ message: 'No revision has been requested for this proof of work' });
+      }
+
+      const revision = proof.revisions[proof.revisions.length - 1];
+      revision.resubmittedAt = new Date();
+
+      proof.url = req.file ? req.file.path : req.body.url;
+      proof.status = 'pending';
+      proof.submittedAt = new Date();
+
+      const sync = campaign.syncDeliverableStatus(selectedInfluencer, req.user.id);
+      if (sync.message) {
+        return res.status(sync.statusCode).json({
+          message: sync.message,
+          currentStatus: selectedInfluencer.status,
+          allowedTransitions: sync.allowedTransitions
+        });
+      }
+
+      if (selectedInfluencer.status === 'submitted') {
+        selectedInfluencer.submittedAt = new Date();
+      }
+
+      await campaign.save();
+
+      res.json({
+        success: true,
+        message: 'Proof of work resubmitted successfully',
+        data: {
+          campaignId: campaign._id,
+          proof,
+          deliverableStatus: selectedInfluencer.status
+        }
+      });
+    } catch (error) {
+      console.error('Resubmit proof error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Define payment milestones for a selected influencer
+// @route   PUT /api/campaigns/:id/selections/:selectionId/milestones
+// @access  Private (Brand only)
+router.put('/:id/selections/:selectionId/milestones',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_funds'),
+  [
+    body('milestones').isArray(),
+    body('milestones.*.title').notEmpty().trim(),
+    body('milestones.*.amount').isFloat({ gt: 0 }),
+    body('milestones.*.dueDate').optional().isISO8601(),
+    body('milestones.*.deliverableId').optional().isMongoId()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const { milestones } = req.body;
+
+      // Get brand profile
+      const brand = req.brand;
+
+      const campaign = await Campaign.findOne({ 
+        _id: req.params.id, 
+        brandId: brand._id 
+      });
+
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found or not authorized' });
+      }
+
+      const selectedInfluencer = campaign.selectedInfluencers.id(req.params.selectionId);
+      if (!selectedInfluencer) {
+        return res.status(404).json({ message: 'Selected influencer not found' });
+      }
+
+      if (['approved', 'rejected'].includes(selectedInfluencer.status)) {
+        return res.status(400).json({ message: `Cannot change milestones of a ${selectedInfluencer.status} deliverable` });
+      }
+
+      if (selectedInfluencer.milestones.some(milestone => milestone.status !== 'pending')) {
+        return res.status(409).json({ message: 'Milestones cannot be changed once payments have started' });
+      }
+
+      const unknownDeliverable = milestones.find(
+        milestone => milestone.deliverableId && !campaign.deliverables.id(milestone.deliverableId)
+      );
+      if (unknownDeliverable) {
+        return res.status(400).json({ message: `Deliverable ${unknownDeliverable.deliverableId} not found on this campaign` });
+      }
+
+      const total = milestones.reduce((sum, milestone) => sum + Number(milestone.amount), 0);
+      if (total > (selectedInfluencer.agreedRate || 0)) {
+        return res.status(400).json({
+          message: `Milestones total ${total} exceeds the agreed rate of ${selectedInfluencer.agreedRate || 0}`
+        });
+      }
+
+      selectedInfluencer.milestones = milestones.map(({ title, amount, dueDate, deliverableId }) => ({
+        title,
+        amount: Number(amount),
+        dueDate,
+        deliverableId
+      }));
+
+      // Upfront milestones have no linked deliverable and are paid straight away
+      const upfront = campaign.markMilestonesPayable(selectedInfluencer, { deliverableId: null });
+
+      await campaign.save();
+      const unpaid = await payMilestones(campaign, selectedInfluencer, upfront, req.user.id);
+      const warning = unpaidMilestonesWarning(unpaid);
+
+      res.json({
+        success: true,
+        message: 'Milestones updated successfully',
+        ...(warning && { warning }),
+        data: {
+          selectionId: selectedInfluencer._id,
+          agreedRate: selectedInfluencer.agreedRate,
+          milestones: selectedInfluencer.milestones,
+          unpaidMilestones: unpaid.map(milestone => milestone._id)
+        }
+      });
+    } catch (error) {
+      console.error('Update milestones error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Check eligibility to apply without applying
+// @route   GET /api/campaigns/:id/eligibility
+// @access  Private (Influencer only)
+router.get('/:id/eligibility', protect, authorize('influencer'), async (req, res) => {
+  try {
+    const influencer = await Influencer.findOne({ userId: req.user.id });
+    if (!influencer) {
+      return res.status(404).json({ message: 'Influencer profile not found' });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        campaignId: campaign._id,
+        ...evaluateEligibility(campaign, influencer)
+      }
+    });
+  } catch (error) {
+    console.error('Check eligibility error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Apply to campaign
+// @route   POST /api/campaigns/:id/apply
+// @access  Private (Influencer only)
+router.post('/:id/apply',
+  protect,
+  authorize('influencer'),
+  requireVerifiedEmail,
+  [
+    body('proposedRate').isFloat({ min: 0 }),
+    body('message').optional().trim()
+  ],
+  moderateBody('message'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      // Get influencer profile
+      const influencer = await Influencer.findOne({ userId: req.user.id });
+      if (!influencer) {
+        return res.status(404).json({ message: 'Influencer profile not found' });
+      }
+
+      if (influencer.status !== 'approved') {
+        return res.status(403).json({ message: 'Influencer profile must be approved to apply' });
+      }
+
+      const campaign = await Campaign.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      if (campaign.status !== 'active') {
+        return res.status(400).json({ message: 'Campaign is not active' });
+      }
+
+      // Check application deadline
+      if (new Date() > new Date(campaign.timeline.applicationDeadline)) {
+        return res.status(400).json({ message: 'Application deadline has passed' });
       }
 
       // Check if already applied
@@ -329,21 +1253,47 @@ router.post('/:id/apply',
         return res.status(400).json({ message: 'Already applied to this campaign' });
       }
 
+      // Check the campaign requirements
+      const reasons = checkRequirements(campaign, influencer);
+      if (reasons.length > 0) {
+        return res.status(403).json({
+          message: 'You do not meet the requirements for this campaign',
+          reasons
+        });
+      }
+
       const { proposedRate, message } = req.body;
 
-      // Add application
+      // Add application; the proposed rate opens the negotiation
       campaign.applications.push({
         influencerId: influencer._id,
         proposedRate,
         message,
+        offers: [{
+          by: 'influencer',
+          rate: proposedRate,
+          message,
+          withinBudget: campaign.isRateWithinBudget(Number(proposedRate)),
+          createdBy: req.user.id
+        }],
         status: 'pending'
       });
 
       await campaign.save();
 
+      await flagForReview(req.moderationFlags, {
+        targetType: 'application',
+        targetId: campaign.applications[campaign.applications.length - 1]._id,
+        campaignId: campaign._id,
+        reportedUserId: req.user.id
+      });
+
+      const warning = campaign.budgetWarning(Number(proposedRate));
+
       res.json({
         success: true,
         message: 'Application submitted successfully',
+        ...(warning && { warning }),
         data: {
           campaignId: campaign._id,
           applicationStatus: 'pending'
@@ -356,79 +1306,466 @@ router.post('/:id/apply',
   }
 );
 
-// @desc    Get campaigns (with filters)
-// @route   GET /api/campaigns
-// @access  Public
-router.get('/', async (req, res) => {
-  try {
-    const {
-      category,
-      minBudget,
-      maxBudget,
-      status = 'active',
-      page = 1,
-      limit = 10
-    } = req.query;
+// Accept or reject a pending application (mutates the campaign, caller saves).
+// `funds.available` is the unallocated escrow and is reduced by each acceptance.
+const reviewApplication = (campaign, applicationId, { action, agreedRate, actorId, funds }) => {
+  const application = campaign.applications.id(applicationId);
+  if (!application) {
+    return { statusCode: 404, message: 'Application not found' };
+  }
+
+  if (application.status !== 'pending') {
+    return { statusCode: 400, message: `Application has already been ${application.status}` };
+  }
+
+  if (action === 'reject') {
+    application.status = 'rejected';
+    application.reviewedAt = new Date();
+    return { application };
+  }
+
+  // Without an explicit rate the latest negotiated offer is used
+  const latestOffer = application.offers[application.offers.length - 1];
+  const rate = agreedRate !== undefined
+    ? Number(agreedRate)
+    : (latestOffer ? latestOffer.rate : application.proposedRate);
+
+  const selectionError = campaign.selectInfluencer(application.influencerId, rate, actorId, funds);
+  if (selectionError) {
+    return selectionError;
+  }
 
-    // Build query
-    let query = { status };
+  application.status = 'accepted';
+  application.reviewedAt = new Date();
 
-    if (category) {
-      query.category = category;
+  return { application };
+};
+
+const UNFUNDED_SELECTION = {
+  statusCode: 402,
+  message: 'Insufficient campaign funds to hold the agreed rate'
+};
+
+// Hold each accepted influencer's rate in escrow before the selection is saved.
+// Acceptances that cannot be funded are undone, leaving their applications
+// pending. Returns the influencer ids that were not held.
+const holdAcceptedSelections = async (campaign, influencerIds, actorId) => {
+  const unfunded = await holdForSelections(campaign, influencerIds, actorId);
+
+  unfunded.forEach(influencerId => {
+    campaign.deselectInfluencer(influencerId);
+
+    const application = campaign.applications.find(app =>
+      app.influencerId.toString() === influencerId.toString() && app.status === 'accepted'
+    );
+    if (application) {
+      application.status = 'pending';
+      application.reviewedAt = undefined;
     }
+  });
 
-    if (minBudget || maxBudget) {
-      query['budget.min'] = {};
-      if (minBudget) query['budget.min'].$gte = parseInt(minBudget);
-      if (maxBudget) query['budget.max'] = { $lte: parseInt(maxBudget) };
+  return unfunded.map(influencerId => influencerId.toString());
+};
+
+// Email each newly selected influencer.
+// Email failures are logged and never fail the request.
+const finalizeSelections = async (campaign, brand, influencerIds) => {
+  if (influencerIds.length === 0) return;
+
+  const influencers = await Influencer.find({ _id: { $in: influencerIds } })
+    .populate('userId', 'email');
+
+  await Promise.all(influencers.map(async influencer => {
+    try {
+      await sendTemplateEmail(
+        influencer.userId.email,
+        'campaignAccepted',
+        campaign.title,
+        brand.companyName
+      );
+    } catch (error) {
+      console.error(`Acceptance email error for influencer ${influencer._id}:`, error);
     }
+  }));
+};
 
-    const campaigns = await Campaign.find(query)
-      .populate('brandId', 'companyName logo industry')
-      .select('-applications -selectedInfluencers')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+// @desc    Accept or reject several applications at once
+// @route   PUT /api/campaigns/:id/applications/bulk
+// @access  Private (Brand only)
+router.put('/:id/applications/bulk',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_applications'),
+  [
+    body('decisions').isArray({ min: 1 }),
+    body('decisions.*.applicationId').notEmpty(),
+    body('decisions.*.action').isIn(['accept', 'reject']),
+    body('decisions.*.agreedRate').optional().isFloat({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
 
-    const total = await Campaign.countDocuments(query);
+      // Get brand profile
+      const brand = req.brand;
 
-    res.json({
-      success: true,
-      data: campaigns,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+      const campaign = await Campaign.findOne({ 
+        _id: req.params.id, 
+        brandId: brand._id 
+      });
+
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found or not authorized' });
       }
-    });
-  } catch (error) {
-    console.error('Get campaigns error:', error);
-    res.status(500).json({ message: 'Server error' });
+
+      if (!['active', 'paused'].includes(campaign.status)) {
+        return res.status(400).json({ message: 'Applications can only be reviewed on active or paused campaigns' });
+      }
+
+      const funds = { available: await getAvailableFunds(campaign._id) };
+
+      // Decisions are applied in order so earlier acceptances count against the budget
+      const results = req.body.decisions.map(({ applicationId, action, agreedRate }) => {
+        const result = reviewApplication(campaign, applicationId, {
+          action,
+          agreedRate,
+          actorId: req.user.id,
+          funds
+        });
+        return {
+          applicationId,
+          action,
+          success: !result.message,
+          ...(result.message && { message: result.message }),
+          ...(result.application && { status: result.application.status })
+        };
+      });
+
+      const acceptedInfluencerIds = results
+        .filter(result => result.success && result.action === 'accept')
+        .map(result => campaign.applications.id(result.applicationId).influencerId);
+
+      const unfunded = await holdAcceptedSelections(campaign, acceptedInfluencerIds, req.user.id);
+      results.forEach(result => {
+        const application = campaign.applications.id(result.applicationId);
+        if (result.success && application && unfunded.includes(application.influencerId.toString())) {
+          result.success = false;
+          result.message = UNFUNDED_SELECTION.message;
+          result.status = application.status;
+        }
+      });
+
+      await campaign.save();
+
+      await finalizeSelections(
+        campaign,
+        brand,
+        acceptedInfluencerIds.filter(influencerId => !unfunded.includes(influencerId.toString()))
+      );
+
+      res.json({
+        success: true,
+        message: 'Applications reviewed',
+        data: {
+          results,
+          totalBudgetAllocated: campaign.totalBudgetAllocated,
+          selectedInfluencers: campaign.selectedInfluencers
+        }
+      });
+    } catch (error) {
+      console.error('Bulk review applications error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
   }
-});
+);
 
-// @desc    Get my campaigns (brand)
-// @route   GET /api/campaigns/my
+// @desc    Accept or reject an application
+// @route   PUT /api/campaigns/:id/applications/:applicationId/accept
+// @route   PUT /api/campaigns/:id/applications/:applicationId/reject
 // @access  Private (Brand only)
-router.get('/my', protect, authorize('brand'), async (req, res) => {
+router.put('/:id/applications/:applicationId/:action(accept|reject)',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_applications'),
+  [
+    body('agreedRate').optional().isFloat({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const { action, applicationId } = req.params;
+
+      // Get brand profile
+      const brand = req.brand;
+
+      const campaign = await Campaign.findOne({ 
+        _id: req.params.id, 
+        brandId: brand._id 
+      });
+
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found or not authorized' });
+      }
+
+      if (!['active', 'paused'].includes(campaign.status)) {
+        return res.status(400).json({ message: 'Applications can only be reviewed on active or paused campaigns' });
+      }
+
+      const result = reviewApplication(campaign, applicationId, {
+        action,
+        agreedRate: req.body.agreedRate,
+        actorId: req.user.id,
+        funds: { available: await getAvailableFunds(campaign._id) }
+      });
+      if (result.message) {
+        return res.status(result.statusCode).json({ message: result.message });
+      }
+
+      if (action === 'accept') {
+        const unfunded = await holdAcceptedSelections(campaign, [result.application.influencerId], req.user.id);
+        if (unfunded.length > 0) {
+          return res.status(UNFUNDED_SELECTION.statusCode).json({ message: UNFUNDED_SELECTION.message });
+        }
+      }
+
+      await campaign.save();
+
+      if (action === 'accept') {
+        await finalizeSelections(campaign, brand, [result.application.influencerId]);
+      }
+
+      res.json({
+        success: true,
+        message: `Application ${action === 'accept' ? 'accepted' : 'rejected'} successfully`,
+        data: {
+          application: result.application,
+          totalBudgetAllocated: campaign.totalBudgetAllocated,
+          selectedInfluencers: campaign.selectedInfluencers
+        }
+      });
+    } catch (error) {
+      console.error('Review application error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Load a campaign application for the brand that owns the campaign or the
+// influencer who applied. Returns { campaign, application, party, brand } or an error.
+const loadNegotiation = async (req) => {
+  const campaign = await Campaign.findById(req.params.id);
+  if (!campaign) {
+    return { statusCode: 404, message: 'Campaign not found' };
+  }
+
+  const application = campaign.applications.id(req.params.applicationId);
+  if (!application) {
+    return { statusCode: 404, message: 'Application not found' };
+  }
+
+  const brand = await Brand.findById(campaign.brandId);
+
+  if (req.user.role === 'brand') {
+    if (!brand || !brand.memberCan(req.user.id, 'manage_applications')) {
+      return { statusCode: 403, message: 'Not authorized for this campaign' };
+    }
+  } else {
+    const influencer = await Influencer.findOne({ userId: req.user.id });
+    if (!influencer || influencer._id.toString() !== application.influencerId.toString()) {
+      return { statusCode: 403, message: 'Not authorized for this application' };
+    }
+  }
+
+  if (application.status !== 'pending') {
+    return { statusCode: 400, message: `Application has already been ${application.status}` };
+  }
+
+  return { campaign, application, party: req.user.role, brand };
+};
+
+// @desc    Make a counter-offer on an application
+// @route   POST /api/campaigns/:id/applications/:applicationId/offers
+// @access  Private (Brand or Influencer)
+router.post('/:id/applications/:applicationId/offers',
+  protect,
+  authorize('brand', 'influencer'),
+  [
+    body('rate').isFloat({ min: 0 }),
+    body('message').optional().trim()
+  ],
+  moderateBody('message'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const negotiation = await loadNegotiation(req);
+      if (negotiation.message) {
+        return res.status(negotiation.statusCode).json({ message: negotiation.message });
+      }
+
+      const { campaign, application, party } = negotiation;
+      const rate = Number(req.body.rate);
+
+      const latestOffer = application.offers[application.offers.length - 1];
+      if (latestOffer && latestOffer.by === party) {
+        return res.status(400).json({ message: 'Waiting for the other party to respond to your offer' });
+      }
+
+      application.offers.push({
+        by: party,
+        rate,
+        message: req.body.message,
+        withinBudget: campaign.isRateWithinBudget(rate),
+        createdBy: req.user.id
+      });
+
+      await campaign.save();
+
+      await flagForReview(req.moderationFlags, {
+        targetType: 'application',
+        targetId: application._id,
+        campaignId: campaign._id,
+        reportedUserId: req.user.id
+      });
+
+      const warning = campaign.budgetWarning(rate);
+
+      res.status(201).json({
+        success: true,
+        message: 'Offer sent successfully',
+        ...(warning && { warning }),
+        data: {
+          applicationId: application._id,
+          offers: application.offers
+        }
+      });
+    } catch (error) {
+      console.error('Make offer error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Accept the latest offer on an application and select the influencer
+// @route   PUT /api/campaigns/:id/applications/:applicationId/offers/accept
+// @access  Private (Brand or Influencer)
+router.put('/:id/applications/:applicationId/offers/accept',
+  protect,
+  authorize('brand', 'influencer'),
+  async (req, res) => {
+    try {
+      const negotiation = await loadNegotiation(req);
+      if (negotiation.message) {
+        return res.status(negotiation.statusCode).json({ message: negotiation.message });
+      }
+
+      const { campaign, application, party, brand } = negotiation;
+
+      const latestOffer = application.offers[application.offers.length - 1];
+      if (!latestOffer) {
+        return res.status(400).json({ message: 'There is no offer to accept' });
+      }
+
+      if (latestOffer.by === party) {
+        return res.status(400).json({ message: 'You cannot accept your own offer' });
+      }
+
+      if (!['active', 'paused'].includes(campaign.status)) {
+        return res.status(400).json({ message: 'Applications can only be accepted on active or paused campaigns' });
+      }
+
+      const result = reviewApplication(campaign, application._id, {
+        action: 'accept',
+        agreedRate: latestOffer.rate,
+        actorId: req.user.id,
+        funds: { available: await getAvailableFunds(campaign._id) }
+      });
+      if (result.message) {
+        return res.status(result.statusCode).json({ message: result.message });
+      }
+
+      const unfunded = await holdAcceptedSelections(campaign, [application.influencerId], req.user.id);
+      if (unfunded.length > 0) {
+        return res.status(UNFUNDED_SELECTION.statusCode).json({ message: UNFUNDED_SELECTION.message });
+      }
+
+      await campaign.save();
+      await finalizeSelections(campaign, brand, [application.influencerId]);
+
+      const warning = campaign.budgetWarning(latestOffer.rate);
+
+      res.json({
+        success: true,
+        message: 'Offer accepted successfully',
+        ...(warning && { warning }),
+        data: {
+          application,
+          agreedRate: latestOffer.rate,
+          totalBudgetAllocated: campaign.totalBudgetAllocated
+        }
+      });
+    } catch (error) {
+      console.error('Accept offer error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Get campaigns (with filters)
+// @route   GET /api/campaigns
+// @access  Public
+router.get('/', async (req, res) => {
   try {
-    const brand = await Brand.findOne({ userId: req.user.id });
-    if (!brand) {
-      return res.status(404).json({ message: 'Brand profile not found' });
+    const { q, sort } = req.query;
+
+    if (sort && !SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        message: `Invalid sort. Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+      });
+    }
+
+    const query = await buildSearchFilter(req.query);
+
+    const page = await paginate(req, Campaign, query, {
+      sort: resolveSort(sort, Boolean(q)),
+      build: find => find
+        .populate('brandId', 'companyName logo industry')
+        .select('-applications -selectedInfluencers')
+    });
+
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
     }
 
-    const campaigns = await Campaign.find({ brandId: brand._id })
-      .populate('applications.influencerId', 'firstName lastName profilePicture totalFollowers')
-      .populate('selectedInfluencers.influencerId', 'firstName lastName profilePicture totalFollowers')
-      .sort({ createdAt: -1 });
+    const facets = await getFacets(query);
 
     res.json({
       success: true,
-      data: campaigns
+      data: page.data,
+      facets,
+      pagination: page.pagination
     });
   } catch (error) {
-    console.error('Get my campaigns error:', error);
+    console.error('Get campaigns error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -1,13 +1,42 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
 const User = require('../models/User');
 const Campaign = require('../models/Campaign');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
 const { upload, handleMulterError } = require('../middleware/upload');
+const { moderateBody } = require('../middleware/moderation');
+const { paginate, parseLimit } = require('../utils/pagination');
+const {
+  isParticipant,
+  checkCanMessage,
+  postMessage,
+  markChatRead,
+  editMessage,
+  deleteMessage
+} = require('../utils/chatMessages');
+const {
+  STRUCTURED_TYPES,
+  buildStructuredMessage,
+  supersedePendingOffers,
+  respondToOffer
+} = require('../utils/chatStructured');
+const { flagForReview } = require('../utils/moderation');
+const { SORT_OPTIONS, buildMessageSearch, toSearchResult } = require('../utils/chatSearch');
 
 const router = express.Router();
 
+// Queue a sent or edited message for review when moderation flagged it
+const flagMessage = (req, chat, message) => flagForReview(req.moderationFlags, {
+  targetType: 'message',
+  chatId: chat._id,
+  messageId: message._id,
+  reportedUserId: req.user.id
+});
+
 // @desc    Send message
 // @route   POST /api/chat/:id/send
 // @access  Private
@@ -16,8 +45,14 @@ router.post('/:id/send',
   upload.single('file'),
   handleMulterError,
   [
-    body('content').notEmpty().trim()
+    body('messageType').optional().isIn(['text', 'image', 'file', ...STRUCTURED_TYPES]),
+    // Structured messages get a generated summary when no content is given
+    body('content')
+      .if((value, { req }) => !STRUCTURED_TYPES.includes(req.body.messageType))
+      .notEmpty()
+      .trim()
   ],
+  moderateBody('content'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -43,6 +78,35 @@ router.post('/:id/send',
         return res.status(403).json({ message: 'Not authorized to send messages in this chat' });
       }
 
+      const blockError = await checkCanMessage(chat, req.user.id);
+      if (blockError) {
+        return res.status(blockError.statusCode).json({ message: blockError.message });
+      }
+
+      if (STRUCTURED_TYPES.includes(messageType)) {
+        if (req.file) {
+          return res.status(400).json({ message: 'Files cannot be attached to structured messages' });
+        }
+
+        const structured = await buildStructuredMessage(chat, req.user.id, messageType, req.body);
+        if (structured.message) {
+          return res.status(structured.statusCode).json({ message: structured.message });
+        }
+
+        if (messageType === 'offer') {
+          await supersedePendingOffers(chat);
+        }
+
+        const message = await postMessage(chat, req.user.id, structured.fields);
+        await flagMessage(req, chat, message);
+
+        return res.json({
+          success: true,
+          message: 'Message sent successfully',
+          data: message
+        });
+      }
+
       // Handle file upload
       let fileUrl = null;
       let fileName = null;
@@ -54,34 +118,18 @@ router.post('/:id/send',
         actualMessageType = req.file.mimetype.startsWith('image/') ? 'image' : 'file';
       }
 
-      // Create message
-      const message = {
-        senderId: req.user.id,
+      const message = await postMessage(chat, req.user.id, {
         content,
         messageType: actualMessageType,
         fileUrl,
-        fileName,
-        readBy: [{
-          userId: req.user.id,
-          readAt: new Date()
-        }]
-      };
-
-      // Add message to chat
-      chat.messages.push(message);
-      chat.updateLastMessage(message);
-      
-      await chat.save();
-
-      // Populate sender info for response
-      await chat.populate('messages.senderId', 'email role');
-
-      const newMessage = chat.messages[chat.messages.length - 1];
+        fileName
+      });
+      await flagMessage(req, chat, message);
 
       res.json({
         success: true,
         message: 'Message sent successfully',
-        data: newMessage
+        data: message
       });
     } catch (error) {
       console.error('Send message error:', error);
@@ -90,17 +138,129 @@ router.post('/:id/send',
   }
 );
 
+// @desc    Get user's chats
+// @route   GET /api/chat/my
+// @access  Private
+// Registered before /:id so "my" is not treated as a chat id
+router.get('/my', protect, async (req, res) => {
+  try {
+    const page = await paginate(req, Chat, {
+      participants: req.user.id,
+      isActive: true
+    }, {
+      sort: { updatedAt: -1 },
+      defaultLimit: 20,
+      build: find => find
+        .populate('participants', 'email role')
+        .populate('campaignId', 'title')
+        .populate('lastMessage.senderId', 'email role')
+    });
+
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    // Add unread count for each chat
+    const unreadCounts = await Message.unreadCounts(page.data.map(chat => chat._id), req.user.id);
+    const chatsWithUnreadCount = page.data.map(chat => ({
+      ...chat.toObject(),
+      unreadCount: unreadCounts[chat._id.toString()] || 0
+    }));
+
+    res.json({
+      success: true,
+      data: chatsWithUnreadCount,
+      pagination: page.pagination
+    });
+  } catch (error) {
+    console.error('Get my chats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Search messages across my chats
+// @route   GET /api/chat/search
+// @access  Private
+// Registered before /:id so "search" is not treated as a chat id
+router.get('/search', protect, async (req, res) => {
+  try {
+    const { sort = 'relevance' } = req.query;
+
+    if (!SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        message: `Invalid sort. Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+      });
+    }
+
+    const search = await buildMessageSearch(req.user.id, req.query);
+    if (search.message) {
+      return res.status(search.statusCode).json({ message: search.message });
+    }
+
+    const page = await paginate(req, Message, search.filter, {
+      sort: SORT_OPTIONS[sort],
+      defaultLimit: 20,
+      maxLimit: 50,
+      build: find => find
+        .populate('senderId', 'email role')
+        .populate({
+          path: 'chatId',
+          select: 'chatType campaignId participants',
+          populate: [
+            { path: 'participants', select: 'email role' },
+            { path: 'campaignId', select: 'title' }
+          ]
+        })
+    });
+
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json({
+      success: true,
+      data: page.data.map(message => toSearchResult(message, search.terms)),
+      pagination: page.pagination
+    });
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get users I have blocked
+// @route   GET /api/chat/blocked
+// @access  Private
+router.get('/blocked', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .populate('blockedUsers', 'email role');
+
+    res.json({
+      success: true,
+      data: user.blockedUsers
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get chat messages
 // @route   GET /api/chat/:id
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
   try {
     const chatId = req.params.id;
-    const { page = 1, limit = 50 } = req.query;
+    const { before, after } = req.query;
+    const limit = parseLimit(req.query.limit, 50);
+
+    if (before && after) {
+      return res.status(400).json({ message: 'Use either before or after, not both' });
+    }
 
     const chat = await Chat.findById(chatId)
       .populate('participants', 'email role')
-      .populate('messages.senderId', 'email role')
       .populate('campaignId', 'title');
 
     if (!chat) {
@@ -112,27 +272,17 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view this chat' });
     }
 
-    // Paginate messages (latest first)
-    const startIndex = Math.max(0, chat.messages.length - (page * limit));
-    const endIndex = chat.messages.length - ((page - 1) * limit);
-    
-    const paginatedMessages = chat.messages.slice(startIndex, endIndex).reverse();
-
-    // Mark messages as read
-    const unreadMessages = chat.messages.filter(msg => 
-      !msg.readBy.some(read => read.userId.toString() === req.user.id)
-    );
-
-    if (unreadMessages.length > 0) {
-      unreadMessages.forEach(msg => {
-        if (!msg.readBy.some(read => read.userId.toString() === req.user.id)) {
-          msg.readBy.push({
-            userId: req.user.id,
-            readAt: new Date()
-          });
-        }
-      });
-      await chat.save();
+    // Latest messages first; `before` pages back through history, `after` fetches newer messages
+    const history = await Message.history(chat._id, { before, after, limit });
+    if (!history) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const { messages, hasMore } = history;
+
+    // Mark everything up to the newest message returned as read
+    if (messages.length > 0) {
+      await markChatRead(chat, req.user.id, messages[0]);
     }
 
     res.json({
@@ -147,12 +297,14 @@ router.get('/:id', protect, async (req, res) => {
           createdAt: chat.createdAt,
           updatedAt: chat.updatedAt
         },
-        messages: paginatedMessages,
+        messages,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: chat.messages.length,
-          hasMore: startIndex > 0
+          limit,
+          hasOlder: after ? true : hasMore,
+          hasNewer: after ? hasMore : Boolean(before),
+          // Pass as `before` to load older messages or `after` to load newer ones
+          before: messages.length > 0 ? messages[messages.length - 1]._id : null,
+          after: messages.length > 0 ? messages[0]._id : null
         }
       }
     });
@@ -167,6 +319,7 @@ router.get('/:id', protect, async (req, res) => {
 // @access  Private
 router.post('/direct',
   protect,
+  requireVerifiedEmail,
   [
     body('participantId').notEmpty()
   ],
@@ -194,7 +347,12 @@ router.post('/direct',
         participants: { $all: [req.user.id, participantId] }
       }).populate('participants', 'email role');
 
+      const created = !chat;
       if (!chat) {
+        if (await User.isBlockedBetween(req.user.id, participantId)) {
+          return res.status(403).json({ message: 'You cannot start a chat with this user' });
+        }
+
         // Create new chat
         chat = await Chat.create({
           participants: [req.user.id, participantId],
@@ -206,7 +364,7 @@ router.post('/direct',
 
       res.json({
         success: true,
-        message: chat.messages.length === 0 ? 'Chat created successfully' : 'Chat found',
+        message: created ? 'Chat created successfully' : 'Chat found',
         data: chat
       });
     } catch (error) {
@@ -221,6 +379,7 @@ router.post('/direct',
 // @access  Private
 router.post('/campaign',
   protect,
+  requireVerifiedEmail,
   [
     body('campaignId').notEmpty(),
     body('participantId').notEmpty()
@@ -256,6 +415,7 @@ router.post('/campaign',
         participants: { $all: [req.user.id, participantId] }
       }).populate('participants', 'email role').populate('campaignId', 'title');
 
+      const created = !chat;
       if (!chat) {
         // Create new chat
         chat = await Chat.create({
@@ -269,7 +429,7 @@ router.post('/campaign',
 
       res.json({
         success: true,
-        message: chat.messages.length === 0 ? 'Campaign chat created successfully' : 'Campaign chat found',
+        message: created ? 'Campaign chat created successfully' : 'Campaign chat found',
         data: chat
       });
     } catch (error) {
@@ -279,97 +439,334 @@ router.post('/campaign',
   }
 );
 
-// @desc    Get user's chats
-// @route   GET /api/chat/my
+// @desc    Mark messages as read (all, or up to and including messageId)
+// @route   PUT /api/chat/:id/read
 // @access  Private
-router.get('/my', protect, async (req, res) => {
+router.put('/:id/read', protect, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const chatId = req.params.id;
+    const { messageId } = req.body;
 
-    const chats = await Chat.find({
-      participants: req.user.id,
-      isActive: true
-    })
-      .populate('participants', 'email role')
-      .populate('campaignId', 'title')
-      .populate('lastMessage.senderId', 'email role')
-      .sort({ updatedAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
 
-    const total = await Chat.countDocuments({
-      participants: req.user.id,
-      isActive: true
+    // Check if user is participant
+    if (!chat.participants.includes(req.user.id)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    let upTo = null;
+    if (messageId) {
+      upTo = mongoose.isValidObjectId(messageId)
+        ? await Message.findOne({ _id: messageId, chatId: chat._id })
+        : null;
+      if (!upTo) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+    }
+
+    const updated = await markChatRead(chat, req.user.id, upTo);
+
+    res.json({
+      success: true,
+      message: 'Messages marked as read',
+      data: {
+        upTo: upTo ? upTo._id : null,
+        updated
+      }
     });
+  } catch (error) {
+    console.error('Mark as read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Add unread count for each chat
-    const chatsWithUnreadCount = chats.map(chat => {
-      const unreadCount = chat.messages.filter(msg => 
-        msg.senderId.toString() !== req.user.id &&
-        !msg.readBy.some(read => read.userId.toString() === req.user.id)
-      ).length;
-
-      return {
-        ...chat.toObject(),
-        unreadCount
-      };
+// Load a participant's chat and one of its messages for the edit/delete routes
+const loadChatMessage = async (req, res) => {
+  const { id: chatId, messageId } = req.params;
+
+  const chat = await Chat.findById(chatId);
+  if (!chat) {
+    res.status(404).json({ message: 'Chat not found' });
+    return null;
+  }
+
+  if (!isParticipant(chat, req.user.id)) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+
+  const message = mongoose.isValidObjectId(messageId)
+    ? await Message.findOne({ _id: messageId, chatId: chat._id })
+    : null;
+  if (!message) {
+    res.status(404).json({ message: 'Message not found' });
+    return null;
+  }
+
+  return { chat, message };
+};
+
+// @desc    Edit own message within the edit window
+// @route   PUT /api/chat/:id/messages/:messageId
+// @access  Private
+router.put('/:id/messages/:messageId',
+  protect,
+  [
+    body('content').notEmpty().trim()
+  ],
+  moderateBody('content'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: errors.array() 
+        });
+      }
+
+      const loaded = await loadChatMessage(req, res);
+      if (!loaded) return;
+
+      const { chat, message } = loaded;
+
+      const changeError = message.checkSenderChange(req.user.id);
+      if (changeError) {
+        return res.status(changeError.statusCode).json({ message: changeError.message });
+      }
+
+      if (STRUCTURED_TYPES.includes(message.messageType)) {
+        return res.status(400).json({ message: 'Structured messages cannot be edited' });
+      }
+
+      if (message.content === req.body.content) {
+        return res.status(400).json({ message: 'Message content is unchanged' });
+      }
+
+      await editMessage(chat, message, req.body.content);
+      await flagMessage(req, chat, message);
+
+      res.json({
+        success: true,
+        message: 'Message updated successfully',
+        data: message
+      });
+    } catch (error) {
+      console.error('Edit message error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Delete own message within the edit window (soft delete)
+// @route   DELETE /api/chat/:id/messages/:messageId
+// @access  Private
+router.delete('/:id/messages/:messageId', protect, async (req, res) => {
+  try {
+    const loaded = await loadChatMessage(req, res);
+    if (!loaded) return;
+
+    const { chat, message } = loaded;
+
+    const changeError = message.checkSenderChange(req.user.id);
+    if (changeError) {
+      return res.status(changeError.statusCode).json({ message: changeError.message });
+    }
+
+    await deleteMessage(chat, message);
+
+    res.json({
+      success: true,
+      message: 'Message deleted successfully',
+      data: message
+    });
+  } catch (error) {
+    console.error('Delete message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Block a user from chatting with me
+// @route   POST /api/chat/block/:userId
+// @access  Private
+router.post('/block/:userId', protect, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+
+    const target = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.updateOne({ _id: req.user.id }, { $addToSet: { blockedUsers: target._id } });
+
+    res.json({
+      success: true,
+      message: 'User blocked successfully'
     });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Unblock a user
+// @route   DELETE /api/chat/block/:userId
+// @access  Private
+router.delete('/block/:userId', protect, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.updateOne({ _id: req.user.id }, { $pull: { blockedUsers: userId } });
 
     res.json({
       success: true,
-      data: chatsWithUnreadCount,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      message: 'User unblocked successfully'
     });
   } catch (error) {
-    console.error('Get my chats error:', error);
+    console.error('Unblock user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @desc    Mark messages as read
-// @route   PUT /api/chat/:id/read
+const reportValidation = [
+  body('reason').isIn(['spam', 'harassment', 'scam', 'inappropriate', 'off_platform', 'other']),
+  body('details').optional().trim().isLength({ max: 2000 })
+];
+
+// Store a report unless the reporter already has an open one for the same target
+const createReport = async (req, res, fields) => {
+  const existing = await Report.findOne({
+    reporterId: req.user.id,
+    targetType: fields.targetType,
+    chatId: fields.chatId,
+    messageId: fields.messageId || null,
+    status: 'open'
+  });
+  if (existing) {
+    return res.status(409).json({ message: 'You have already reported this' });
+  }
+
+  const report = await Report.create({
+    ...fields,
+    reporterId: req.user.id,
+    reason: req.body.reason,
+    details: req.body.details
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Report submitted successfully',
+    data: report
+  });
+};
+
+// @desc    Report a chat
+// @route   POST /api/chat/:id/report
 // @access  Private
-router.put('/:id/read', protect, async (req, res) => {
+router.post('/:id/report', protect, reportValidation, async (req, res) => {
   try {
-    const chatId = req.params.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
 
-    const chat = await Chat.findById(chatId);
+    const chat = await Chat.findById(req.params.id);
     if (!chat) {
       return res.status(404).json({ message: 'Chat not found' });
     }
 
-    // Check if user is participant
-    if (!chat.participants.includes(req.user.id)) {
+    if (!isParticipant(chat, req.user.id)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    // Mark all unread messages as read
-    let updated = false;
-    chat.messages.forEach(msg => {
-      if (!msg.readBy.some(read => read.userId.toString() === req.user.id)) {
-        msg.readBy.push({
-          userId: req.user.id,
-          readAt: new Date()
-        });
-        updated = true;
-      }
+    const other = chat.participants.find(participant => participant.toString() !== req.user.id);
+
+    await createReport(req, res, {
+      targetType: 'chat',
+      chatId: chat._id,
+      reportedUserId: other
     });
+  } catch (error) {
+    console.error('Report chat error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Report a message
+// @route   POST /api/chat/:id/messages/:messageId/report
+// @access  Private
+router.post('/:id/messages/:messageId/report', protect, reportValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const loaded = await loadChatMessage(req, res);
+    if (!loaded) return;
+
+    const { chat, message } = loaded;
 
-    if (updated) {
-      await chat.save();
+    if (message.senderId.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You cannot report your own message' });
+    }
+
+    await createReport(req, res, {
+      targetType: 'message',
+      chatId: chat._id,
+      messageId: message._id,
+      reportedUserId: message.senderId
+    });
+  } catch (error) {
+    console.error('Report message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Accept or decline an offer message
+// @route   PUT /api/chat/:id/messages/:messageId/offer/:action
+// @access  Private (the participant who received the offer)
+router.put('/:id/messages/:messageId/offer/:action(accept|decline)', protect, async (req, res) => {
+  try {
+    const loaded = await loadChatMessage(req, res);
+    if (!loaded) return;
+
+    const { chat, message } = loaded;
+    const { action } = req.params;
+
+    const result = await respondToOffer(chat, message, req.user.id, action);
+    if (result.message) {
+      return res.status(result.statusCode).json({ message: result.message });
     }
 
     res.json({
       success: true,
-      message: 'Messages marked as read'
+      message: `Offer ${action === 'accept' ? 'accepted' : 'declined'} successfully`,
+      data: {
+        message: result.offerMessage,
+        selection: result.selection
+      }
     });
   } catch (error) {
-    console.error('Mark as read error:', error);
+    console.error('Respond to offer error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -4,6 +4,10 @@ const Influencer = require('../models/Influencer');
 const User = require('../models/User');
 const { protect, authorize } = require('../middleware/auth');
 const { upload, handleMulterError } = require('../middleware/upload');
+const { moderateBody } = require('../middleware/moderation');
+const { flagForReview } = require('../utils/moderation');
+const { recommendCampaigns, resolveWeights, validateWeights } = require('../utils/matching');
+const { paginate, parseLimit } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -24,6 +28,7 @@ router.post('/onboard',
     body('niche').isArray({ min: 1 }),
     body('socialAccounts').isArray({ min: 1 })
   ],
+  moderateBody('bio'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -92,6 +97,11 @@ router.post('/onboard',
         kycDocuments,
         status: 'pending_verification'
       });
+      await flagForReview(req.moderationFlags, {
+        targetType: 'influencer',
+        targetId: influencer._id,
+        reportedUserId: req.user.id
+      });
 
       res.status(201).json({
         success: true,
@@ -139,6 +149,7 @@ router.put('/update',
     { name: 'kycDocument', maxCount: 3 }
   ]),
   handleMulterError,
+  moderateBody('bio'),
   async (req, res) => {
     try {
       const influencer = await Influencer.findOne({ userId: req.user.id });
@@ -192,6 +203,11 @@ router.put('/update',
       }
 
       await influencer.save();
+      await flagForReview(req.moderationFlags, {
+        targetType: 'influencer',
+        targetId: influencer._id,
+        reportedUserId: req.user.id
+      });
 
       res.json({
         success: true,
@@ -227,6 +243,39 @@ router.get('/me', protect, authorize('influencer'), async (req, res) => {
   }
 });
 
+// @desc    Get recommended campaigns for the current influencer
+// @route   GET /api/influencer/recommended-campaigns
+// @access  Private (Influencer only)
+router.get('/recommended-campaigns', protect, authorize('influencer'), async (req, res) => {
+  try {
+    const { weights, limit = 10 } = req.query;
+
+    const weightsError = validateWeights(weights);
+    if (weightsError) {
+      return res.status(400).json({ message: weightsError });
+    }
+
+    const influencer = await Influencer.findOne({ userId: req.user.id });
+    if (!influencer) {
+      return res.status(404).json({ message: 'Influencer profile not found' });
+    }
+
+    const recommendations = await recommendCampaigns(influencer, {
+      weights,
+      limit: parseLimit(limit, 10, 50)
+    });
+
+    res.json({
+      success: true,
+      data: recommendations,
+      weights: resolveWeights(weights)
+    });
+  } catch (error) {
+    console.error('Get recommended campaigns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Search influencers
 // @route   GET /api/influencer/search
 // @access  Private (Brand only)
@@ -237,9 +286,7 @@ router.get('/search', protect, authorize('brand'), async (req, res) => {
       minFollowers,
       maxFollowers,
       minEngagement,
-      location,
-      page = 1,
-      limit = 10
+      location
     } = req.query;
 
     // Build query
@@ -263,24 +310,21 @@ router.get('/search', protect, authorize('brand'), async (req, res) => {
       query['location.country'] = new RegExp(location, 'i');
     }
 
-    const influencers = await Influencer.find(query)
-      .populate('userId', 'email')
-      .select('-kycDocuments')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ totalFollowers: -1 });
+    const page = await paginate(req, Influencer, query, {
+      sort: { totalFollowers: -1 },
+      build: find => find
+        .populate('userId', 'email')
+        .select('-kycDocuments')
+    });
 
-    const total = await Influencer.countDocuments(query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
 
     res.json({
       success: true,
-      data: influencers,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      data: page.data,
+      pagination: page.pagination
     });
   } catch (error) {
     console.error('Search influencers error:', error);
@@ -0,0 +1,446 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const Campaign = require('../models/Campaign');
+const Brand = require('../models/Brand');
+const Influencer = require('../models/Influencer');
+const { protect, authorize } = require('../middleware/auth');
+const { requireBrandMember } = require('../middleware/brandAccess');
+const { moderateBody } = require('../middleware/moderation');
+const { sendTemplateEmail } = require('../utils/email');
+const { getAvailableFunds, holdForSelections } = require('../utils/ledger');
+const { paginate } = require('../utils/pagination');
+const { flagForReview } = require('../utils/moderation');
+
+const router = express.Router();
+
+// Select the invited influencer on the campaign at the given rate and close
+// their pending application, recording the rate as agreed with `proposal`
+// ({ by, createdBy }, the party whose rate was accepted).
+// Returns null on success or an error object for the response.
+const selectFromInvitation = async (invitation, rate, actorId, proposal) => {
+  const campaign = await Campaign.findById(invitation.campaignId);
+  if (!campaign) {
+    return { statusCode: 404, message: 'Campaign not found' };
+  }
+
+  if (!['active', 'paused'].includes(campaign.status)) {
+    return { statusCode: 400, message: 'Campaign is no longer accepting influencers' };
+  }
+
+  const funds = { available: await getAvailableFunds(campaign._id) };
+  const selectionError = campaign.selectInfluencer(invitation.influencerId, rate, actorId, funds);
+  if (selectionError) {
+    return selectionError;
+  }
+
+  // Hold the rate before saving so a failed hold never leaves an unfunded selection
+  const unfunded = await holdForSelections(campaign, [invitation.influencerId], actorId);
+  if (unfunded.length > 0) {
+    return { statusCode: 402, message: 'Insufficient campaign funds to hold the agreed rate' };
+  }
+
+  // Record the agreed rate on the application's negotiation history
+  const application = campaign.applications.find(app =>
+    app.influencerId.toString() === invitation.influencerId.toString() && app.status === 'pending'
+  );
+  if (application) {
+    application.offers.push({
+      by: proposal.by,
+      rate,
+      message: 'Accepted from invitation',
+      withinBudget: campaign.isRateWithinBudget(rate),
+      createdBy: proposal.createdBy
+    });
+    application.status = 'accepted';
+    application.reviewedAt = new Date();
+  }
+
+  await campaign.save();
+
+  return null;
+};
+
+// Email the brand team members who handle applications about the
+// influencer's response; failures are only logged
+const notifyBrand = async (invitation, influencer, response) => {
+  try {
+    const [brand, campaign] = await Promise.all([
+      Brand.findById(invitation.brandId).populate('members.userId', 'email'),
+      Campaign.findById(invitation.campaignId).select('title')
+    ]);
+
+    const recipients = brand.members
+      .filter(member => member.userId && brand.memberCan(member.userId, 'manage_applications'))
+      .map(member => member.userId.email);
+
+    await Promise.all(recipients.map(email => sendTemplateEmail(
+      email,
+      'invitationResponse',
+      `${influencer.firstName} ${influencer.lastName}`,
+      campaign.title,
+      response
+    )));
+  } catch (error) {
+    console.error(`Invitation response email error for invitation ${invitation._id}:`, error);
+  }
+};
+
+// @desc    Invite an influencer to a campaign
+// @route   POST /api/invitations
+// @access  Private (Brand only)
+router.post('/',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_applications'),
+  [
+    body('campaignId').isMongoId(),
+    body('influencerId').isMongoId(),
+    body('offeredRate').isFloat({ min: 0 }),
+    body('message').optional().trim()
+  ],
+  moderateBody('message'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { campaignId, influencerId, offeredRate, message } = req.body;
+
+      // Get brand profile
+      const brand = req.brand;
+
+      const campaign = await Campaign.findOne({
+        _id: campaignId,
+        brandId: brand._id
+      });
+
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found or not authorized' });
+      }
+
+      if (!['active', 'paused'].includes(campaign.status)) {
+        return res.status(400).json({ message: 'Invitations can only be sent for active or paused campaigns' });
+      }
+
+      if (new Date() > new Date(campaign.timeline.applicationDeadline)) {
+        return res.status(400).json({ message: 'Application deadline has passed' });
+      }
+
+      const influencer = await Influencer.findById(influencerId).populate('userId', 'email');
+      if (!influencer || influencer.status !== 'approved') {
+        return res.status(404).json({ message: 'Approved influencer not found' });
+      }
+
+      const alreadySelected = campaign.selectedInfluencers.some(
+        si => si.influencerId.toString() === influencer._id.toString()
+      );
+      if (alreadySelected) {
+        return res.status(400).json({ message: 'Influencer is already selected for this campaign' });
+      }
+
+      const openInvitation = await Invitation.findOne({
+        campaignId: campaign._id,
+        influencerId: influencer._id,
+        status: { $in: ['pending', 'countered'] },
+        expiresAt: { $gt: new Date() }
+      });
+      if (openInvitation) {
+        return res.status(400).json({ message: 'An open invitation already exists for this influencer' });
+      }
+
+      const invitation = await Invitation.create({
+        campaignId: campaign._id,
+        brandId: brand._id,
+        influencerId: influencer._id,
+        offeredRate,
+        message,
+        expiresAt: campaign.timeline.applicationDeadline,
+        createdBy: req.user.id
+      });
+
+      await flagForReview(req.moderationFlags, {
+        targetType: 'invitation',
+        targetId: invitation._id,
+        reportedUserId: req.user.id
+      });
+
+      try {
+        await sendTemplateEmail(
+          influencer.userId.email,
+          'campaignInvitation',
+          campaign.title,
+          brand.companyName,
+          offeredRate,
+          campaign.budget.currency
+        );
+      } catch (error) {
+        console.error(`Invitation email error for invitation ${invitation._id}:`, error);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: invitation
+      });
+    } catch (error) {
+      console.error('Create invitation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Get my invitations (sent by a brand or received by an influencer)
+// @route   GET /api/invitations/my
+// @access  Private (Brand or Influencer)
+router.get('/my', protect, authorize('brand', 'influencer'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query;
+    if (req.user.role === 'brand') {
+      const brand = await Brand.findByMember(req.user.id);
+      if (!brand) {
+        return res.status(404).json({ message: 'Brand profile not found' });
+      }
+      query = { brandId: brand._id };
+    } else {
+      const influencer = await Influencer.findOne({ userId: req.user.id });
+      if (!influencer) {
+        return res.status(404).json({ message: 'Influencer profile not found' });
+      }
+      query = { influencerId: influencer._id };
+    }
+
+    // Expire anything past its deadline before listing
+    await Invitation.updateMany(
+      { ...query, status: { $in: ['pending', 'countered'] }, expiresAt: { $lte: new Date() } },
+      { status: 'expired', updatedAt: Date.now() }
+    );
+
+    if (status) {
+      query.status = status;
+    }
+
+    const page = await paginate(req, Invitation, query, {
+      sort: { createdAt: -1 },
+      build: find => find
+        .populate('campaignId', 'title category budget timeline status')
+        .populate('brandId', 'companyName logo')
+        .populate('influencerId', 'firstName lastName profilePicture totalFollowers')
+    });
+
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json({
+      success: true,
+      data: page.data,
+      pagination: page.pagination
+    });
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Accept, decline or counter an invitation
+// @route   PUT /api/invitations/:id/respond
+// @access  Private (Influencer only)
+router.put('/:id/respond',
+  protect,
+  authorize('influencer'),
+  [
+    body('action').isIn(['accept', 'decline', 'counter']),
+    body('counterRate').optional().isFloat({ min: 0 }),
+    body('message').optional().trim()
+  ],
+  moderateBody('message'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { action, counterRate, message } = req.body;
+
+      if (action === 'counter' && counterRate === undefined) {
+        return res.status(400).json({ message: 'Counter rate is required to counter an invitation' });
+      }
+
+      // Get influencer profile
+      const influencer = await Influencer.findOne({ userId: req.user.id });
+      if (!influencer) {
+        return res.status(404).json({ message: 'Influencer profile not found' });
+      }
+
+      const invitation = await Invitation.findOne({
+        _id: req.params.id,
+        influencerId: influencer._id
+      });
+
+      if (!invitation) {
+        return res.status(404).json({ message: 'Invitation not found' });
+      }
+
+      if (invitation.expireIfDue()) {
+        await invitation.save();
+        return res.status(400).json({ message: 'Invitation has expired' });
+      }
+
+      if (invitation.status !== 'pending') {
+        return res.status(400).json({ message: `Invitation is ${invitation.status}` });
+      }
+
+      if (action === 'accept') {
+        const selectionError = await selectFromInvitation(invitation, invitation.offeredRate, req.user.id, {
+          by: 'brand',
+          createdBy: invitation.createdBy
+        });
+        if (selectionError) {
+          return res.status(selectionError.statusCode).json({ message: selectionError.message });
+        }
+        invitation.status = 'accepted';
+      } else if (action === 'decline') {
+        invitation.status = 'declined';
+      } else {
+        invitation.status = 'countered';
+        invitation.counterRate = counterRate;
+        invitation.counterMessage = message;
+      }
+
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      // The message is only kept with a counter-offer
+      if (action === 'counter') {
+        await flagForReview(req.moderationFlags, {
+          targetType: 'invitation',
+          targetId: invitation._id,
+          reportedUserId: req.user.id
+        });
+      }
+
+      await notifyBrand(invitation, influencer, invitation.status);
+
+      res.json({
+        success: true,
+        message: `Invitation ${invitation.status} successfully`,
+        data: invitation
+      });
+    } catch (error) {
+      console.error('Respond to invitation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Accept or decline an influencer's counter-offer, or revise the offer
+// @route   PUT /api/invitations/:id/counter
+// @access  Private (Brand only)
+router.put('/:id/counter',
+  protect,
+  authorize('brand'),
+  requireBrandMember('manage_applications'),
+  [
+    body('action').isIn(['accept', 'decline', 'revise']),
+    body('offeredRate').optional().isFloat({ min: 0 }),
+    body('message').optional().trim()
+  ],
+  moderateBody('message'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { action, offeredRate, message } = req.body;
+
+      if (action === 'revise' && offeredRate === undefined) {
+        return res.status(400).json({ message: 'Offered rate is required to revise an invitation' });
+      }
+
+      // Get brand profile
+      const brand = req.brand;
+
+      const invitation = await Invitation.findOne({
+        _id: req.params.id,
+        brandId: brand._id
+      });
+
+      if (!invitation) {
+        return res.status(404).json({ message: 'Invitation not found' });
+      }
+
+      if (invitation.expireIfDue()) {
+        await invitation.save();
+        return res.status(400).json({ message: 'Invitation has expired' });
+      }
+
+      if (invitation.status !== 'countered') {
+        return res.status(400).json({ message: 'Invitation has no counter-offer to respond to' });
+      }
+
+      if (action === 'accept') {
+        const influencer = await Influencer.findById(invitation.influencerId).select('userId');
+        const selectionError = await selectFromInvitation(invitation, invitation.counterRate, req.user.id, {
+          by: 'influencer',
+          createdBy: influencer && influencer.userId
+        });
+        if (selectionError) {
+          return res.status(selectionError.statusCode).json({ message: selectionError.message });
+        }
+        invitation.offeredRate = invitation.counterRate;
+        invitation.status = 'accepted';
+      } else if (action === 'decline') {
+        invitation.status = 'declined';
+      } else {
+        invitation.offeredRate = offeredRate;
+        invitation.message = message || invitation.message;
+        invitation.status = 'pending';
+        invitation.counterRate = undefined;
+        invitation.counterMessage = undefined;
+      }
+
+      await invitation.save();
+
+      // The message is only kept when the offer is revised
+      if (action === 'revise') {
+        await flagForReview(req.moderationFlags, {
+          targetType: 'invitation',
+          targetId: invitation._id,
+          reportedUserId: req.user.id
+        });
+      }
+
+      res.json({
+        success: true,
+        message: {
+          accept: 'Counter-offer accepted successfully',
+          decline: 'Counter-offer declined successfully',
+          revise: 'Invitation revised successfully'
+        }[action],
+        data: invitation
+      });
+    } catch (error) {
+      console.error('Respond to counter-offer error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
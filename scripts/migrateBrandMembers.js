@@ -0,0 +1,35 @@
+// Give every existing brand a team with its creator as the owner.
+//
+// Usage: npm run migrate:brand-members
+//
+// Safe to run more than once: only brands without members are updated.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/influencer-marketplace');
+  await Brand.syncIndexes();
+
+  const cursor = Brand.collection.find({
+    $or: [{ members: { $exists: false } }, { members: { $size: 0 } }]
+  });
+
+  let migrated = 0;
+  for await (const brand of cursor) {
+    await Brand.collection.updateOne(
+      { _id: brand._id },
+      { $set: { members: [{ userId: brand.userId, role: 'owner', addedAt: brand.createdAt || new Date() }] } }
+    );
+    migrated++;
+  }
+
+  console.log(`Added owners to ${migrated} brands`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Brand member migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
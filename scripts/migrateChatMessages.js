@@ -0,0 +1,102 @@
+// Move messages embedded in chat documents into the Message collection.
+//
+// Usage: npm run migrate:messages
+//
+// Safe to run more than once: message ids are preserved, so messages that
+// were already copied are skipped, and the embedded array is only removed
+// from a chat after all of its messages have been inserted.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+const DUPLICATE_KEY = 11000;
+
+const migrateChat = async (chat) => {
+  const messages = chat.messages.map(message => ({
+    _id: message._id,
+    chatId: chat._id,
+    senderId: message.senderId,
+    content: message.content,
+    messageType: message.messageType || 'text',
+    fileUrl: message.fileUrl,
+    fileName: message.fileName,
+    readBy: message.readBy || [],
+    createdAt: message.createdAt
+  }));
+
+  if (messages.length > 0) {
+    try {
+      await Message.collection.insertMany(messages, { ordered: false });
+    } catch (error) {
+      // Messages copied by an earlier, interrupted run
+      const writeErrors = [].concat(error.writeErrors || []);
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY)) {
+        throw error;
+      }
+    }
+  }
+
+  const update = { $unset: { messages: '' } };
+
+  if (messages.length > 0) {
+    const latest = messages.reduce((a, b) => (a.createdAt > b.createdAt ? a : b));
+
+    // Older chats may not have lastMessage set; the others still need its id,
+    // which edits and deletes use to refresh the preview
+    update.$set = chat.lastMessage
+      ? { 'lastMessage.messageId': latest._id }
+      : {
+        lastMessage: {
+          messageId: latest._id,
+          content: latest.content,
+          senderId: latest.senderId,
+          createdAt: latest.createdAt
+        }
+      };
+  }
+
+  await Chat.collection.updateOne({ _id: chat._id }, update);
+
+  return messages.length;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/influencer-marketplace');
+  await Message.syncIndexes();
+
+  // Read the raw documents: the Chat schema no longer has a messages path
+  const cursor = Chat.collection.find({ messages: { $exists: true } });
+
+  let chats = 0;
+  let moved = 0;
+  for await (const chat of cursor) {
+    moved += await migrateChat({ ...chat, messages: chat.messages || [] });
+    chats++;
+  }
+
+  // Chats migrated by an earlier run of this script were left without lastMessage.messageId
+  const previews = Chat.collection.find({
+    lastMessage: { $type: 'object' },
+    'lastMessage.messageId': { $exists: false }
+  });
+
+  let backfilled = 0;
+  for await (const chat of previews) {
+    const latest = await Message.findOne({ chatId: chat._id }).sort({ createdAt: -1, _id: -1 }).select('_id');
+    if (latest) {
+      await Chat.collection.updateOne({ _id: chat._id }, { $set: { 'lastMessage.messageId': latest._id } });
+      backfilled++;
+    }
+  }
+
+  console.log(`Migrated ${moved} messages from ${chats} chats`);
+  console.log(`Backfilled the last message id of ${backfilled} chats`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Message migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,8 +1,8 @@
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 // Import routes
@@ -10,14 +10,20 @@ const authRoutes = require('./routes/auth');
 const influencerRoutes = require('./routes/influencer');
 const brandRoutes = require('./routes/brand');
 const campaignRoutes = require('./routes/campaigns');
+const invitationRoutes = require('./routes/invitations');
 const chatRoutes = require('./routes/chat');
 const adminRoutes = require('./routes/admin');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { apiLimiter } = require('./middleware/rateLimit');
+
+// Import real-time chat
+const { initSocket } = require('./sockets');
 
 // Import cron jobs
 require('./jobs/socialMediaSync');
+require('./jobs/campaignScheduler');
 
 const app = express();
 
@@ -28,12 +34,8 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use(limiter);
+// Rate limiting; auth routes add stricter limits of their own
+app.use(apiLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -55,6 +57,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/influencer', influencerRoutes);
 app.use('/api/brand', brandRoutes);
 app.use('/api/campaigns', campaignRoutes);
+app.use('/api/invitations', invitationRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/admin', adminRoutes);
 
@@ -77,7 +80,11 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+// Socket.IO shares the HTTP server with Express
+const server = http.createServer(app);
+initSocket(server);
+
+server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
 });
\ No newline at end of file
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { chatRoom } = require('./io');
+const { isParticipant, checkCanMessage, postMessage, markChatRead } = require('../utils/chatMessages');
+const { parseLimit } = require('../utils/pagination');
+const { moderateFields, flagForReview } = require('../utils/moderation');
+
+// Most messages replayed per catch-up request; clients ask again while hasMore
+const CATCH_UP_LIMIT = 100;
+
+// Acknowledgements mirror the REST response shape
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+const fail = (ack, message) => reply(ack, { success: false, message });
+
+// Clients control the payload, so null or a non-object must not throw
+const payloadOf = (payload) => (payload && typeof payload === 'object' ? payload : {});
+
+// Load a chat the connected user participates in, or null
+const loadChat = async (socket, chatId) => {
+  if (!mongoose.isValidObjectId(chatId)) return null;
+
+  const chat = await Chat.findById(chatId);
+  if (!chat || !isParticipant(chat, socket.user._id)) return null;
+
+  return chat;
+};
+
+// Only users who joined the chat room may send typing indicators
+const inRoom = (socket, chatId) => socket.rooms.has(chatRoom(chatId));
+
+const registerChatHandlers = (io, socket) => {
+  const userId = socket.user._id.toString();
+
+  // Join a chat room. With lastSeenMessageId, replays messages sent since then
+  // so a reconnecting client does not miss anything.
+  socket.on('chat:join', async (payload, ack) => {
+    try {
+      const { chatId, lastSeenMessageId, limit } = payloadOf(payload);
+      const chat = await loadChat(socket, chatId);
+      if (!chat) {
+        return fail(ack, 'Chat not found');
+      }
+
+      socket.join(chatRoom(chat._id));
+
+      if (!lastSeenMessageId) {
+        return reply(ack, { success: true, chatId: chat._id, messages: [], hasMore: false });
+      }
+
+      const history = await Message.history(chat._id, {
+        after: lastSeenMessageId,
+        limit: parseLimit(limit, CATCH_UP_LIMIT, CATCH_UP_LIMIT)
+      });
+      if (!history) {
+        return fail(ack, 'Invalid lastSeenMessageId');
+      }
+
+      // Oldest first so the client can append in order
+      reply(ack, {
+        success: true,
+        chatId: chat._id,
+        messages: history.messages.reverse(),
+        hasMore: history.hasMore
+      });
+    } catch (error) {
+      console.error('Socket chat join error:', error);
+      fail(ack, 'Server error');
+    }
+  });
+
+  socket.on('chat:leave', (payload, ack) => {
+    const { chatId } = payloadOf(payload);
+    if (chatId) {
+      socket.leave(chatRoom(chatId));
+    }
+    reply(ack, { success: true });
+  });
+
+  socket.on('message:send', async (payload, ack) => {
+    try {
+      const { chatId, content } = payloadOf(payload);
+      if (typeof content !== 'string' || !content.trim()) {
+        return fail(ack, 'Message content is required');
+      }
+
+      const chat = await loadChat(socket, chatId);
+      if (!chat) {
+        return fail(ack, 'Chat not found');
+      }
+
+      const blockError = await checkCanMessage(chat, socket.user._id);
+      if (blockError) {
+        return fail(ack, blockError.message);
+      }
+
+      const moderation = await moderateFields({ content: content.trim() });
+      if (moderation.blocked.length > 0) {
+        return fail(ack, 'Content violates moderation rules');
+      }
+
+      const message = await postMessage(chat, socket.user._id, { content: moderation.values.content });
+      await flagForReview(moderation.flags, {
+        targetType: 'message',
+        chatId: chat._id,
+        messageId: message._id,
+        reportedUserId: socket.user._id
+      });
+
+      reply(ack, { success: true, data: message });
+    } catch (error) {
+      console.error('Socket send message error:', error);
+      fail(ack, 'Server error');
+    }
+  });
+
+  // Mark the chat read, or only up to and including messageId
+  socket.on('chat:read', async (payload, ack) => {
+    try {
+      const { chatId, messageId } = payloadOf(payload);
+      const chat = await loadChat(socket, chatId);
+      if (!chat) {
+        return fail(ack, 'Chat not found');
+      }
+
+      let upTo = null;
+      if (messageId) {
+        upTo = mongoose.isValidObjectId(messageId)
+          ? await Message.findOne({ _id: messageId, chatId: chat._id })
+          : null;
+        if (!upTo) {
+          return fail(ack, 'Message not found');
+        }
+      }
+
+      await markChatRead(chat, socket.user._id, upTo);
+
+      reply(ack, { success: true });
+    } catch (error) {
+      console.error('Socket mark as read error:', error);
+      fail(ack, 'Server error');
+    }
+  });
+
+  // Typing indicators are relayed to the other people in the room, never stored
+  const relayTyping = (isTyping) => (payload) => {
+    const { chatId } = payloadOf(payload);
+    if (!chatId || !inRoom(socket, chatId)) return;
+    socket.to(chatRoom(chatId)).emit('typing', { chatId, userId, isTyping });
+  };
+
+  socket.on('typing:start', relayTyping(true));
+  socket.on('typing:stop', relayTyping(false));
+};
+
+module.exports = {
+  registerChatHandlers
+};
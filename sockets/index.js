@@ -0,0 +1,58 @@
+const { Server } = require('socket.io');
+const { resolveTokenUser } = require('../middleware/auth');
+const { setIO, userRoom, sessionRoom } = require('./io');
+const { registerChatHandlers } = require('./chat');
+
+// Same JWT as the REST API, sent as `auth.token` or a Bearer Authorization header
+const getToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return auth.token;
+  if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+    return headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+const authenticate = async (socket, next) => {
+  try {
+    const token = getToken(socket);
+    if (!token) {
+      return next(new Error('Not authorized, no token'));
+    }
+
+    const { user, session, message } = await resolveTokenUser(token);
+    if (!user) {
+      return next(new Error(message));
+    }
+
+    socket.user = user;
+    socket.sessionId = session._id.toString();
+    next();
+  } catch (error) {
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+// Attach Socket.IO to the HTTP server
+const initSocket = (server) => {
+  const io = new Server(server, {
+    cors: {
+      origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+      credentials: true
+    }
+  });
+
+  io.use(authenticate);
+
+  io.on('connection', (socket) => {
+    // Personal room for chat list updates across every open tab
+    socket.join(userRoom(socket.user._id.toString()));
+    socket.join(sessionRoom(socket.sessionId));
+    registerChatHandlers(io, socket);
+  });
+
+  setIO(io);
+  return io;
+};
+
+module.exports = { initSocket };
@@ -0,0 +1,36 @@
+// Holds the Socket.IO server so routes and utilities can push events without
+// depending on the socket setup. Emits are no-ops until the server is attached.
+let io = null;
+
+const setIO = (server) => {
+  io = server;
+};
+
+const getIO = () => io;
+
+const chatRoom = (chatId) => `chat:${chatId}`;
+const userRoom = (userId) => `user:${userId}`;
+// Connections made with one sign-in session, so revoking it can drop them
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Everyone currently viewing the chat
+const emitToChat = (chatId, event, payload) => {
+  if (!io) return;
+  io.to(chatRoom(chatId)).emit(event, payload);
+};
+
+// Every connection of the given users, whether or not they have the chat open
+const emitToUsers = (userIds, event, payload) => {
+  if (!io || userIds.length === 0) return;
+  io.to(userIds.map(userId => userRoom((userId._id || userId).toString()))).emit(event, payload);
+};
+
+module.exports = {
+  setIO,
+  getIO,
+  chatRoom,
+  userRoom,
+  sessionRoom,
+  emitToChat,
+  emitToUsers
+};
@@ -0,0 +1,197 @@
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+jest.mock('../../models/Campaign', () => ({ find: jest.fn() }));
+jest.mock('../../models/Invitation', () => ({ updateMany: jest.fn() }));
+jest.mock('../../utils/email', () => ({ sendTemplateEmail: jest.fn() }));
+jest.mock('../../utils/ledger', () => ({ refundCampaign: jest.fn() }));
+
+const Campaign = require('../../models/Campaign');
+const Invitation = require('../../models/Invitation');
+const { sendTemplateEmail } = require('../../utils/email');
+const { refundCampaign } = require('../../utils/ledger');
+const {
+  closeApplications,
+  sendDeadlineReminders,
+  flagOverdueDeliverables,
+  completeFinishedCampaigns,
+  runCampaignScheduler
+} = require('../../jobs/campaignScheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2024-06-15T12:00:00Z');
+
+const campaignDoc = (fields = {}) => ({
+  _id: 'campaign1',
+  title: 'Summer launch',
+  status: 'active',
+  statusHistory: [],
+  applications: [],
+  selectedInfluencers: [],
+  timeline: {
+    applicationDeadline: new Date(now.getTime() - DAY),
+    campaignEnd: new Date(now.getTime() + DAY)
+  },
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  Campaign.find.mockResolvedValue([]);
+  Invitation.updateMany.mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('closeApplications', () => {
+  it('rejects pending applications and expires invitations as of the given clock', async () => {
+    const campaign = campaignDoc({
+      applications: [{ status: 'pending' }, { status: 'accepted' }]
+    });
+    Campaign.find.mockResolvedValue([campaign]);
+    Invitation.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    const result = await closeApplications(now);
+
+    expect(Campaign.find).toHaveBeenCalledWith(expect.objectContaining({
+      'timeline.applicationDeadline': { $lte: now }
+    }));
+    expect(campaign.applications[0]).toEqual({ status: 'rejected', reviewedAt: now });
+    expect(campaign.applications[1].status).toBe('accepted');
+    expect(campaign.applicationsClosedAt).toBe(now);
+    expect(Invitation.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ expiresAt: { $lte: now } }),
+      { status: 'expired', updatedAt: now }
+    );
+    expect(result).toEqual({ campaigns: 1, rejected: 1, invitationsExpired: 2 });
+  });
+});
+
+describe('sendDeadlineReminders', () => {
+  it('looks ahead from the given clock and stamps reminders with it', async () => {
+    const selection = {
+      status: 'in_progress',
+      influencerId: { userId: { email: 'creator@example.com' } }
+    };
+    const campaign = campaignDoc({ selectedInfluencers: [selection] });
+    Campaign.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([campaign]) });
+
+    const result = await sendDeadlineReminders(now);
+
+    expect(Campaign.find).toHaveBeenCalledWith(expect.objectContaining({
+      'timeline.campaignEnd': { $gt: now, $lte: new Date(now.getTime() + 3 * DAY) }
+    }));
+    expect(sendTemplateEmail).toHaveBeenCalledWith(
+      'creator@example.com',
+      'deliverableReminder',
+      campaign.title,
+      campaign.timeline.campaignEnd
+    );
+    expect(selection.reminderSentAt).toBe(now);
+    expect(result).toEqual({ sent: 1 });
+  });
+});
+
+describe('flagOverdueDeliverables', () => {
+  it('flags open deliverables with the given clock', async () => {
+    const open = { status: 'assigned' };
+    const done = { status: 'approved' };
+    const campaign = campaignDoc({ selectedInfluencers: [open, done] });
+    Campaign.find.mockResolvedValue([campaign]);
+
+    const result = await flagOverdueDeliverables(now);
+
+    expect(Campaign.find).toHaveBeenCalledWith(expect.objectContaining({
+      'timeline.campaignEnd': { $lte: now }
+    }));
+    expect(open.overdueAt).toBe(now);
+    expect(done.overdueAt).toBeUndefined();
+    expect(result).toEqual({ flagged: 1 });
+  });
+});
+
+describe('completeFinishedCampaigns', () => {
+  it('only looks for settled campaigns with an approved deliverable', async () => {
+    await completeFinishedCampaigns(now);
+
+    expect(Campaign.find).toHaveBeenCalledWith(expect.objectContaining({
+      'timeline.applicationDeadline': { $lte: now },
+      'selectedInfluencers.status': 'approved',
+      selectedInfluencers: { $not: { $elemMatch: { status: { $nin: ['approved', 'rejected'] } } } }
+    }));
+  });
+
+  it('completes a campaign with approved and rejected deliverables and refunds it', async () => {
+    const campaign = campaignDoc({
+      selectedInfluencers: [{ status: 'approved' }, { status: 'rejected' }]
+    });
+    Campaign.find.mockResolvedValue([campaign]);
+
+    const result = await completeFinishedCampaigns(now);
+
+    expect(campaign.status).toBe('completed');
+    expect(campaign.statusHistory).toEqual([
+      { from: 'active', to: 'completed', actor: null, at: now }
+    ]);
+    expect(campaign.save).toHaveBeenCalled();
+    expect(refundCampaign).toHaveBeenCalledWith(campaign, null);
+    expect(result).toEqual({ completed: 1 });
+  });
+
+  it('skips a campaign whose deliverables were all rejected', async () => {
+    const campaign = campaignDoc({
+      selectedInfluencers: [{ status: 'rejected' }, { status: 'rejected' }]
+    });
+    Campaign.find.mockResolvedValue([campaign]);
+
+    const result = await completeFinishedCampaigns(now);
+
+    expect(campaign.status).toBe('active');
+    expect(campaign.save).not.toHaveBeenCalled();
+    expect(refundCampaign).not.toHaveBeenCalled();
+    expect(result).toEqual({ completed: 0 });
+  });
+
+  it('skips a campaign whose deliverables are still open', async () => {
+    const campaign = campaignDoc({ selectedInfluencers: [{ status: 'submitted' }] });
+    Campaign.find.mockResolvedValue([campaign]);
+
+    const result = await completeFinishedCampaigns(now);
+
+    expect(campaign.status).toBe('active');
+    expect(campaign.save).not.toHaveBeenCalled();
+    expect(refundCampaign).not.toHaveBeenCalled();
+    expect(result).toEqual({ completed: 0 });
+  });
+});
+
+describe('runCampaignScheduler', () => {
+  it('runs every task against the injected clock', async () => {
+    Campaign.find.mockImplementation(() => {
+      const results = Promise.resolve([]);
+      results.populate = jest.fn().mockResolvedValue([]);
+      return results;
+    });
+
+    const results = await runCampaignScheduler({ now });
+
+    expect(results).toEqual({
+      applications: { campaigns: 0, rejected: 0, invitationsExpired: 0 },
+      reminders: { sent: 0 },
+      overdue: { flagged: 0 },
+      completion: { completed: 0 }
+    });
+    Campaign.find.mock.calls.forEach(([query]) => {
+      expect(JSON.stringify(query)).toContain(now.toISOString());
+    });
+  });
+
+  it('returns null when a task fails', async () => {
+    Campaign.find.mockRejectedValue(new Error('connection lost'));
+
+    await expect(runCampaignScheduler({ now })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const start = new Date('2024-06-15T12:00:00Z');
+const at = (ms) => new Date(start.getTime() + ms);
+
+// The single stored user behind the mocked atomic updates
+let stored;
+
+const sameValue = (actual, expected) => {
+  if (expected === null) return actual === undefined || actual === null;
+  if (expected instanceof Date) return actual instanceof Date && actual.getTime() === expected.getTime();
+  return String(actual) === String(expected);
+};
+
+const matches = (filter) => Object.keys(filter).every(key => sameValue(stored[key], filter[key]));
+
+const apply = (update) => {
+  Object.entries(update.$inc || {}).forEach(([key, amount]) => {
+    stored[key] = (stored[key] || 0) + amount;
+  });
+  Object.assign(stored, update.$set || {});
+  Object.keys(update.$unset || {}).forEach(key => {
+    delete stored[key];
+  });
+};
+
+const userWith = (fields = {}) => {
+  stored = { _id: new mongoose.Types.ObjectId(), failedLoginAttempts: 0, ...fields };
+  return new User({ email: 'creator@example.com', password: 'secret123', role: 'influencer', ...stored });
+};
+
+// Read the user again, as the next login request would
+const reload = () => new User({ email: 'creator@example.com', password: 'secret123', role: 'influencer', ...stored });
+
+beforeEach(() => {
+  delete process.env.LOGIN_MAX_ATTEMPTS;
+  delete process.env.LOGIN_LOCK_MINUTES;
+
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    apply(update);
+    return { modifiedCount: 1 };
+  });
+
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return null;
+    apply(update);
+    return { ...stored };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkLoginThrottle', () => {
+  it('lets the free attempts through without delay', () => {
+    const user = userWith({ failedLoginAttempts: 2, lastFailedLoginAt: start });
+
+    expect(user.checkLoginThrottle(start)).toBeNull();
+  });
+
+  it('doubles the delay with each failure past the free attempts', () => {
+    [[3, 1], [4, 2], [5, 4], [6, 8], [8, 32]].forEach(([attempts, seconds]) => {
+      const user = userWith({ failedLoginAttempts: attempts, lastFailedLoginAt: start });
+
+      expect(user.checkLoginThrottle(start)).toEqual({
+        statusCode: 429,
+        message: 'Too many failed login attempts, please wait before trying again',
+        retryAfter: seconds
+      });
+      expect(user.checkLoginThrottle(at(seconds * SECOND))).toBeNull();
+    });
+  });
+
+  it('caps the delay at a minute', () => {
+    const user = userWith({ failedLoginAttempts: 9, lastFailedLoginAt: start });
+
+    expect(user.checkLoginThrottle(start).retryAfter).toBe(60);
+    expect(user.checkLoginThrottle(at(60 * SECOND))).toBeNull();
+  });
+
+  it('refuses attempts while locked and allows them once the lock expires', () => {
+    const user = userWith({
+      failedLoginAttempts: 10,
+      lastFailedLoginAt: start,
+      lockUntil: at(15 * MINUTE)
+    });
+
+    expect(user.checkLoginThrottle(at(5 * MINUTE))).toEqual({
+      statusCode: 423,
+      message: 'Account is temporarily locked after too many failed login attempts',
+      retryAfter: 600
+    });
+    expect(user.checkLoginThrottle(at(15 * MINUTE))).toBeNull();
+  });
+
+  it('stops delaying once the failures lapse', () => {
+    const user = userWith({ failedLoginAttempts: 6, lastFailedLoginAt: start });
+
+    expect(user.checkLoginThrottle(at(15 * MINUTE))).toBeNull();
+  });
+});
+
+describe('registerFailedLogin', () => {
+  it('counts parallel failures against the stored counter', async () => {
+    const user = userWith({ failedLoginAttempts: 2, lastFailedLoginAt: start });
+
+    // Every request read the same document before any failure was recorded
+    const copies = [user, reload(), reload(), reload()];
+    await Promise.all(copies.map(copy => copy.registerFailedLogin(at(SECOND))));
+
+    expect(stored.failedLoginAttempts).toBe(6);
+    expect(user.isModified('failedLoginAttempts')).toBe(false);
+  });
+
+  it('locks the account once the maximum is reached and reports it once', async () => {
+    const user = userWith({ failedLoginAttempts: 8, lastFailedLoginAt: start });
+    const other = reload();
+
+    const results = await Promise.all([
+      user.registerFailedLogin(at(SECOND)),
+      other.registerFailedLogin(at(SECOND))
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(stored.failedLoginAttempts).toBe(10);
+    expect(stored.lockUntil).toEqual(at(SECOND + 15 * MINUTE));
+    expect(reload().checkLoginThrottle(at(2 * SECOND)).statusCode).toBe(423);
+  });
+
+  it('honours LOGIN_MAX_ATTEMPTS and LOGIN_LOCK_MINUTES', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '3';
+    process.env.LOGIN_LOCK_MINUTES = '5';
+    const user = userWith({ failedLoginAttempts: 2, lastFailedLoginAt: start });
+
+    await expect(user.registerFailedLogin(start)).resolves.toBe(true);
+    expect(user.lockUntil).toEqual(at(5 * MINUTE));
+  });
+
+  it('starts counting afresh after the failures lapse', async () => {
+    const user = userWith({ failedLoginAttempts: 6, lastFailedLoginAt: start });
+
+    await expect(user.registerFailedLogin(at(16 * MINUTE))).resolves.toBe(false);
+
+    expect(stored.failedLoginAttempts).toBe(1);
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(user.checkLoginThrottle(at(16 * MINUTE))).toBeNull();
+  });
+
+  it('starts counting afresh after a lock expires', async () => {
+    const user = userWith({
+      failedLoginAttempts: 10,
+      lastFailedLoginAt: start,
+      lockUntil: at(15 * MINUTE)
+    });
+
+    await expect(user.registerFailedLogin(at(15 * MINUTE))).resolves.toBe(false);
+
+    expect(stored.failedLoginAttempts).toBe(1);
+    expect(stored.lockUntil).toBeUndefined();
+  });
+
+  it('does not reset failures recorded by a parallel request', async () => {
+    const user = userWith({ failedLoginAttempts: 6, lastFailedLoginAt: start });
+    const stale = reload();
+
+    await user.registerFailedLogin(at(16 * MINUTE));
+    await stale.registerFailedLogin(at(16 * MINUTE));
+
+    expect(stored.failedLoginAttempts).toBe(2);
+  });
+});
@@ -0,0 +1,272 @@
+jest.mock('../../models/LedgerAccount', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../models/LedgerTransaction', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  deleteOne: jest.fn(),
+  aggregate: jest.fn(),
+  distinct: jest.fn()
+}));
+jest.mock('../../models/Brand', () => ({ updateOne: jest.fn() }));
+jest.mock('../../models/Influencer', () => ({ updateOne: jest.fn() }));
+
+const mongoose = require('mongoose');
+const LedgerAccount = require('../../models/LedgerAccount');
+const LedgerTransaction = require('../../models/LedgerTransaction');
+const Brand = require('../../models/Brand');
+const Influencer = require('../../models/Influencer');
+const fakeProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const {
+  accounts,
+  getAvailableFunds,
+  getCampaignBalances,
+  fundCampaign,
+  holdForSelection,
+  releaseForSelection,
+  refundCampaign
+} = require('../../utils/ledger');
+
+// In-memory collections behind the mocked models
+let transactions;
+let balances;
+// Runs once, just before the next guarded withdrawal from the given account,
+// to interleave a concurrent posting between reading and withdrawing a balance
+let interleave;
+
+const sameId = (a, b) => String(a) === String(b);
+const isPosted = (transaction) => transaction.status !== 'pending';
+const signed = (entry) => (entry.direction === 'debit' ? entry.amount : -entry.amount);
+
+const transactionDoc = (fields) => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    ...fields,
+    set: (values) => Object.assign(doc, values),
+    save: async () => doc
+  };
+  return doc;
+};
+
+const aggregate = async ([{ $match: match }, ...stages]) => {
+  const posted = transactions.filter(isPosted);
+
+  if (match['entries.account']) {
+    const sums = {};
+    posted.forEach(transaction => transaction.entries
+      .filter(entry => match['entries.account'].test(entry.account))
+      .forEach(entry => {
+        sums[entry.account] = (sums[entry.account] || 0) + signed(entry);
+      }));
+    return Object.entries(sums).map(([account, balance]) => ({ _id: account, balance }));
+  }
+
+  const matching = posted.filter(transaction => Object.keys(match)
+    .filter(key => key !== 'status')
+    .every(key => sameId(transaction[key], match[key])));
+  const groupBy = stages[stages.length - 1].$group._id;
+  const sums = {};
+  matching.forEach(transaction => {
+    const key = groupBy === '$type' ? transaction.type : null;
+    sums[key] = (sums[key] || 0) + transaction.amount;
+  });
+  return Object.entries(sums).map(([key, amount]) => ({ _id: groupBy ? key : null, amount }));
+};
+
+beforeEach(() => {
+  transactions = [];
+  balances = {};
+  interleave = null;
+  fakeProvider.reset();
+  setPaymentProvider(null);
+
+  LedgerTransaction.create.mockImplementation(async (fields) => {
+    if (transactions.some(transaction => transaction.idempotencyKey === fields.idempotencyKey)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    const doc = transactionDoc(fields);
+    transactions.push(doc);
+    return doc;
+  });
+  LedgerTransaction.findOne.mockImplementation(async ({ idempotencyKey }) =>
+    transactions.find(transaction => transaction.idempotencyKey === idempotencyKey) || null);
+  LedgerTransaction.deleteOne.mockImplementation(async ({ _id }) => {
+    transactions = transactions.filter(transaction => !sameId(transaction._id, _id));
+  });
+  LedgerTransaction.aggregate.mockImplementation(aggregate);
+  LedgerTransaction.distinct.mockImplementation(async (field, { campaignId }) => [...new Set(
+    transactions
+      .filter(transaction => sameId(transaction.campaignId, campaignId))
+      .flatMap(transaction => transaction.entries.map(entry => entry.account))
+  )]);
+
+  LedgerAccount.find.mockImplementation(({ account: { $in: names } }) => {
+    const rows = names
+      .filter(account => account in balances)
+      .map(account => ({ account, balance: balances[account] }));
+    const result = Promise.resolve(rows);
+    result.distinct = async () => rows.map(row => row.account);
+    return result;
+  });
+  LedgerAccount.updateOne.mockImplementation(async (filter, update, options = {}) => {
+    if (filter.balance && interleave && interleave.account === filter.account) {
+      const { run } = interleave;
+      interleave = null;
+      await run();
+    }
+
+    if (!(filter.account in balances)) {
+      if (!options.upsert) return { modifiedCount: 0 };
+      balances[filter.account] = update.$setOnInsert.balance;
+      return { modifiedCount: 1 };
+    }
+    if (filter.balance && balances[filter.account] < filter.balance.$gte) {
+      return { modifiedCount: 0 };
+    }
+    if (update.$inc) balances[filter.account] += update.$inc.balance;
+    return { modifiedCount: 1 };
+  });
+
+  Brand.updateOne.mockResolvedValue({});
+  Influencer.updateOne.mockResolvedValue({});
+});
+
+afterEach(() => {
+  setPaymentProvider(null);
+});
+
+const newCampaign = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  brandId: new mongoose.Types.ObjectId(),
+  budget: { currency: 'USD' }
+});
+
+describe('fundCampaign', () => {
+  it('charges once when a request is retried with the same idempotency key', async () => {
+    const campaign = newCampaign();
+
+    const first = await fundCampaign(campaign, 500, 'user1', 'request-1');
+    const retry = await fundCampaign(campaign, 500, 'user1', 'request-1');
+
+    expect(retry).toBe(first);
+    expect(fakeProvider.getOperations()).toHaveLength(1);
+    expect(await getAvailableFunds(campaign._id)).toBe(500);
+  });
+
+  it('puts the money back and frees the key when the charge fails', async () => {
+    const campaign = newCampaign();
+    setPaymentProvider({
+      ...fakeProvider,
+      charge: async () => {
+        throw new Error('card declined');
+      }
+    });
+
+    await expect(fundCampaign(campaign, 500, 'user1', 'request-1')).rejects.toThrow('card declined');
+
+    expect(transactions).toHaveLength(0);
+    expect(balances[accounts.brandSource(campaign.brandId)]).toBe(0);
+    expect(await getAvailableFunds(campaign._id)).toBe(0);
+
+    setPaymentProvider(null);
+    const retry = await fundCampaign(campaign, 500, 'user1', 'request-1');
+    expect(retry.status).toBe('posted');
+    expect(await getAvailableFunds(campaign._id)).toBe(500);
+  });
+});
+
+describe('holdForSelection', () => {
+  it('refuses to hold more than the escrow holds', async () => {
+    const campaign = newCampaign();
+    const influencerId = new mongoose.Types.ObjectId();
+    await fundCampaign(campaign, 300, 'user1');
+
+    const hold = await holdForSelection(campaign, influencerId, 400, 'user1');
+
+    expect(hold).toBeNull();
+    expect(await getAvailableFunds(campaign._id)).toBe(300);
+    expect(transactions.filter(transaction => transaction.type === 'hold')).toHaveLength(0);
+  });
+});
+
+describe('releaseForSelection', () => {
+  it('puts the hold back when the payout fails', async () => {
+    const campaign = newCampaign();
+    const influencerId = new mongoose.Types.ObjectId();
+    await fundCampaign(campaign, 300, 'user1');
+    await holdForSelection(campaign, influencerId, 200, 'user1');
+    setPaymentProvider({
+      ...fakeProvider,
+      payout: async () => {
+        throw new Error('payout rejected');
+      }
+    });
+
+    await expect(releaseForSelection(campaign, influencerId, 'user1')).rejects.toThrow('payout rejected');
+
+    expect(balances[accounts.campaignHold(campaign._id, influencerId)]).toBe(200);
+    expect(transactions.filter(transaction => transaction.type === 'release')).toHaveLength(0);
+  });
+
+  it('retries with the remaining hold when a concurrent release shrinks it', async () => {
+    const campaign = newCampaign();
+    const influencerId = new mongoose.Types.ObjectId();
+    await fundCampaign(campaign, 300, 'user1');
+    await holdForSelection(campaign, influencerId, 200, 'user1');
+
+    interleave = {
+      account: accounts.campaignHold(campaign._id, influencerId),
+      run: () => releaseForSelection(campaign, influencerId, 'user1', { amount: 50, key: 'milestone-1' })
+    };
+    const release = await releaseForSelection(campaign, influencerId, 'user1');
+
+    expect(release.amount).toBe(150);
+    expect(balances[accounts.campaignHold(campaign._id, influencerId)]).toBe(0);
+    expect(balances[accounts.influencerEarnings(influencerId)]).toBe(200);
+    expect(fakeProvider.getOperations().filter(op => op.kind === 'payout').map(op => op.amount))
+      .toEqual([50, 150]);
+  });
+
+  it('refreshes the derived brand spend and influencer earnings', async () => {
+    const campaign = newCampaign();
+    const influencerId = new mongoose.Types.ObjectId();
+    await fundCampaign(campaign, 300, 'user1');
+    await holdForSelection(campaign, influencerId, 200, 'user1');
+
+    await releaseForSelection(campaign, influencerId, 'user1', { amount: 80, key: 'milestone-1' });
+    await releaseForSelection(campaign, influencerId, 'user1', { amount: 70, key: 'milestone-2' });
+
+    expect(Brand.updateOne).toHaveBeenLastCalledWith({ _id: campaign.brandId }, { totalSpent: 150 });
+    expect(Influencer.updateOne).toHaveBeenLastCalledWith({ _id: influencerId }, { totalEarnings: 150 });
+  });
+});
+
+describe('refundCampaign', () => {
+  it('retries with fresh balances when a concurrent hold moves escrow', async () => {
+    const campaign = newCampaign();
+    const influencerId = new mongoose.Types.ObjectId();
+    await fundCampaign(campaign, 300, 'user1');
+
+    interleave = {
+      account: accounts.campaignEscrow(campaign._id),
+      run: () => holdForSelection(campaign, influencerId, 120, 'user1')
+    };
+    const refund = await refundCampaign(campaign, null);
+
+    expect(refund.amount).toBe(300);
+    expect(refund.entries).toEqual(expect.arrayContaining([
+      { account: accounts.campaignEscrow(campaign._id), direction: 'credit', amount: 180 },
+      { account: accounts.campaignHold(campaign._id, influencerId), direction: 'credit', amount: 120 }
+    ]));
+    expect(await getCampaignBalances(campaign._id)).toEqual(expect.objectContaining({
+      available: 0,
+      totalHeld: 0,
+      funded: 300,
+      refunded: 300
+    }));
+    expect(await refundCampaign(campaign, null)).toBe(refund);
+    expect(fakeProvider.getOperations().filter(op => op.kind === 'refund')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,152 @@
+const { paginate, parseLimit, encodeCursor, decodeCursor } = require('../../utils/pagination');
+
+// Ledger-like rows; several share a createdAt so _id has to break ties
+const rows = [
+  { _id: 'a', createdAt: 1 },
+  { _id: 'b', createdAt: 2 },
+  { _id: 'c', createdAt: 2 },
+  { _id: 'd', createdAt: 2 },
+  { _id: 'e', createdAt: 3 },
+  { _id: 'f', createdAt: 4 },
+  { _id: 'g', createdAt: 5 }
+];
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Enough of a MongoDB matcher for equality, $gt, $lt, $or and $and
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(clause => matches(doc, clause));
+  if (key === '$and') return condition.every(clause => matches(doc, clause));
+  if (condition && typeof condition === 'object') {
+    if ('$gt' in condition) return compare(doc[key], condition.$gt) > 0;
+    if ('$lt' in condition) return compare(doc[key], condition.$lt) < 0;
+  }
+  return doc[key] === condition;
+});
+
+// A model whose find chain runs against `rows`, recording each query
+const fakeModel = () => {
+  const queries = [];
+  return {
+    queries,
+    countDocuments: async (filter) => rows.filter(row => matches(row, filter)).length,
+    find: (filter) => {
+      const query = { filter, skip: 0 };
+      queries.push(query);
+      const chain = {
+        sort: (sort) => {
+          query.sort = sort;
+          return chain;
+        },
+        skip: (skip) => {
+          query.skip = skip;
+          return chain;
+        },
+        limit: (limit) => {
+          query.limit = limit;
+          return chain;
+        },
+        then: (resolve, reject) => {
+          const keys = Object.entries(query.sort || {});
+          const sorted = rows
+            .filter(row => matches(row, filter))
+            .sort((a, b) => keys.reduce(
+              (order, [key, direction]) => order || compare(a[key], b[key]) * (direction === -1 ? -1 : 1),
+              0
+            ));
+          return Promise.resolve(sorted.slice(query.skip, query.skip + query.limit)).then(resolve, reject);
+        }
+      };
+      return chain;
+    }
+  };
+};
+
+const request = (query = {}) => ({ query, baseUrl: '/api/campaigns', path: '/c1/ledger' });
+const ids = (page) => page.data.map(row => row._id);
+
+describe('parseLimit', () => {
+  it('clamps the requested size and falls back to the default', () => {
+    expect(parseLimit('5')).toBe(5);
+    expect(parseLimit('0')).toBe(1);
+    expect(parseLimit('500')).toBe(100);
+    expect(parseLimit('abc', 20)).toBe(20);
+  });
+});
+
+describe('paginate', () => {
+  it('pages forwards with a range filter on the sort keys and _id', async () => {
+    const Model = fakeModel();
+
+    const first = await paginate(request({ limit: '3' }), Model, {}, { sort: { createdAt: 1 } });
+    expect(ids(first)).toEqual(['a', 'b', 'c']);
+    expect(first.pagination).toEqual(expect.objectContaining({ total: 7, hasNext: true, hasPrev: false }));
+
+    const second = await paginate(
+      request({ limit: '3', cursor: first.pagination.nextCursor }),
+      Model,
+      {},
+      { sort: { createdAt: 1 } }
+    );
+    expect(Model.queries[1].filter).toEqual({
+      $and: [{
+        $or: [
+          { createdAt: { $gt: 2 } },
+          { createdAt: 2, _id: { $gt: 'c' } }
+        ]
+      }]
+    });
+    expect(Model.queries[1].skip).toBe(0);
+    expect(ids(second)).toEqual(['d', 'e', 'f']);
+    expect(second.pagination).toEqual(expect.objectContaining({ hasNext: true, hasPrev: true }));
+  });
+
+  it('pages backwards from a prev cursor in the original order', async () => {
+    const Model = fakeModel();
+    const cursor = encodeCursor({ v: [4, 'f'], d: 'prev' });
+
+    const page = await paginate(request({ limit: '3', cursor }), Model, {}, { sort: { createdAt: 1 } });
+
+    expect(Model.queries[0].sort).toEqual({ createdAt: -1, _id: -1 });
+    expect(ids(page)).toEqual(['c', 'd', 'e']);
+    expect(page.pagination).toEqual(expect.objectContaining({ hasNext: true, hasPrev: true }));
+
+    const previous = await paginate(
+      request({ limit: '3', cursor: page.pagination.prevCursor }),
+      Model,
+      {},
+      { sort: { createdAt: 1 } }
+    );
+    expect(ids(previous)).toEqual(['a', 'b']);
+    expect(previous.pagination.hasPrev).toBe(false);
+  });
+
+  it('falls back to offset cursors for sorts that are not ranges', async () => {
+    const Model = fakeModel();
+    const sort = { score: { $meta: 'textScore' } };
+
+    const first = await paginate(request({ limit: '4' }), Model, {}, { sort });
+    expect(decodeCursor(first.pagination.nextCursor)).toEqual({ o: 4 });
+    expect(first.pagination.hasPrev).toBe(false);
+
+    const second = await paginate(request({ limit: '4', cursor: first.pagination.nextCursor }), Model, {}, { sort });
+    expect(Model.queries[1].skip).toBe(4);
+    expect(second.data).toHaveLength(3);
+    expect(second.pagination).toEqual(expect.objectContaining({ hasNext: false, hasPrev: true }));
+    expect(decodeCursor(second.pagination.prevCursor)).toEqual({ o: 0 });
+  });
+
+  it('keeps the other query parameters in the links', async () => {
+    const page = await paginate(request({ limit: '3', type: 'hold' }), fakeModel(), {}, { sort: { createdAt: 1 } });
+
+    expect(page.pagination.next).toBe(`/api/campaigns/c1/ledger?limit=3&type=hold&cursor=${page.pagination.nextCursor}`);
+  });
+
+  it('rejects cursors it cannot read', async () => {
+    const Model = fakeModel();
+
+    await expect(paginate(request({ cursor: 'not-a-cursor' }), Model, {})).resolves.toEqual({ error: 'Invalid cursor' });
+    await expect(paginate(request({ cursor: encodeCursor({ v: [1] }) }), Model, {}, { sort: { createdAt: 1 } }))
+      .resolves.toEqual({ error: 'Invalid cursor' });
+  });
+});
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const { generateSecret, generateRecoveryCodes, verifySecondFactor } = require('../../utils/twoFactor');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Independent RFC 6238 code for the current step, as an authenticator app would show
+const currentCode = (secret) => {
+  const bits = secret.split('').map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000)));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 0xf) & 0x7fffffff;
+  return (binary % 1000000).toString().padStart(6, '0');
+};
+
+// The stored two-factor state behind the mocked conditional updates
+let stored;
+
+const userWith = (twoFactor) => {
+  const _id = new mongoose.Types.ObjectId();
+  stored = { lastUsedStep: twoFactor.lastUsedStep, recoveryCodes: [...twoFactor.recoveryCodes] };
+  return new User({ _id, email: 'creator@example.com', password: 'secret123', role: 'influencer', twoFactor });
+};
+
+// Read the user again, as a parallel request would
+const reload = (user) => new User({
+  _id: user._id,
+  email: user.email,
+  password: 'secret123',
+  role: user.role,
+  twoFactor: { ...user.twoFactor.toObject(), lastUsedStep: stored.lastUsedStep, recoveryCodes: [...stored.recoveryCodes] }
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    const stepFilter = filter['twoFactor.lastUsedStep'];
+    if (stepFilter && stored.lastUsedStep >= stepFilter.$not.$gte) return { modifiedCount: 0 };
+
+    const codeFilter = filter['twoFactor.recoveryCodes'];
+    if (codeFilter && !stored.recoveryCodes.includes(codeFilter)) return { modifiedCount: 0 };
+
+    if (update.$set) stored.lastUsedStep = update.$set['twoFactor.lastUsedStep'];
+    if (update.$pull) stored.recoveryCodes = stored.recoveryCodes.filter(hash => hash !== update.$pull['twoFactor.recoveryCodes']);
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifySecondFactor', () => {
+  it('accepts an authenticator code once when two requests race with it', async () => {
+    const secret = generateSecret();
+    const user = userWith({ enabled: true, secret, recoveryCodes: [] });
+    const other = reload(user);
+    const code = currentCode(secret);
+
+    const results = await Promise.all([
+      verifySecondFactor(user, { code }),
+      verifySecondFactor(other, { code })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await verifySecondFactor(reload(user), { code })).toBe(false);
+  });
+
+  it('uses up a recovery code once when two requests race with it', async () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const user = userWith({ enabled: true, secret: generateSecret(), recoveryCodes: hashes });
+    const other = reload(user);
+
+    const results = await Promise.all([
+      verifySecondFactor(user, { recoveryCode: codes[0] }),
+      verifySecondFactor(other, { recoveryCode: codes[0] })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(stored.recoveryCodes).toHaveLength(hashes.length - 1);
+    expect(await verifySecondFactor(reload(user), { recoveryCode: codes[1] })).toBe(true);
+  });
+
+  it('refuses a wrong code without touching the stored state', async () => {
+    const user = userWith({ enabled: true, secret: generateSecret(), recoveryCodes: [] });
+
+    expect(await verifySecondFactor(user, { code: 'abcdef' })).toBe(false);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,38 @@
+// Brand team roles and what each may do. Every member can view the brand,
+// its campaigns, applications and templates.
+const BRAND_ROLES = ['owner', 'manager', 'finance', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    'manage_team',
+    'edit_profile',
+    'manage_billing',
+    'manage_campaigns',
+    'manage_applications',
+    'approve_deliverables',
+    'manage_funds',
+    'view_spend'
+  ],
+  manager: [
+    'edit_profile',
+    'manage_campaigns',
+    'manage_applications',
+    'approve_deliverables',
+    'view_spend'
+  ],
+  finance: [
+    'manage_billing',
+    'manage_funds',
+    'view_spend'
+  ],
+  viewer: []
+};
+
+const roleCan = (role, permission) =>
+  Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+
+module.exports = {
+  BRAND_ROLES,
+  ROLE_PERMISSIONS,
+  roleCan
+};
@@ -0,0 +1,118 @@
+// Allowed next states for Campaign.status
+const CAMPAIGN_TRANSITIONS = {
+  draft: ['active', 'cancelled'],
+  active: ['paused', 'completed', 'cancelled'],
+  paused: ['active', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Allowed next states for Campaign.selectedInfluencers[].status
+const SELECTION_TRANSITIONS = {
+  assigned: ['in_progress', 'submitted'],
+  in_progress: ['submitted'],
+  submitted: ['in_progress', 'approved', 'rejected'],
+  approved: [],
+  rejected: []
+};
+
+// Final deliverable states a campaign can be completed with
+const SETTLED_SELECTION_STATUSES = ['approved', 'rejected'];
+
+// Guards return a reason string when the transition must not happen
+const campaignGuards = {
+  active: (campaign, from, now) => {
+    if (new Date(campaign.timeline.campaignEnd) <= now) {
+      return 'Cannot activate a campaign whose end date has passed';
+    }
+
+    if (from === 'draft' && new Date(campaign.timeline.applicationDeadline) <= now) {
+      return 'Cannot activate a campaign whose application deadline has passed';
+    }
+
+    return null;
+  },
+
+  completed: (campaign) => {
+    const unsettled = campaign.selectedInfluencers.filter(
+      si => !SETTLED_SELECTION_STATUSES.includes(si.status)
+    );
+
+    if (unsettled.length > 0) {
+      return `Cannot complete campaign while ${unsettled.length} deliverable(s) are awaiting approval`;
+    }
+
+    return null;
+  }
+};
+
+const selectionGuards = {
+  submitted: (selectedInfluencer) => {
+    if (selectedInfluencer.proofOfWork.length === 0) {
+      return 'Cannot submit a deliverable without proof of work';
+    }
+
+    return null;
+  }
+};
+
+const canTransition = (table, from, to) => (table[from] || []).includes(to);
+
+// Shared implementation: validate against the table and guards, then apply and record.
+// Returns null on success or an error object suitable for a 409 response.
+const applyTransition = ({ table, guards, target, to, actorId, now, guardArgs, label }) => {
+  const from = target.status;
+  const allowedTransitions = table[from] || [];
+
+  if (!allowedTransitions.includes(to)) {
+    return {
+      statusCode: 409,
+      message: `Cannot change ${label} status from '${from}' to '${to}'`,
+      allowedTransitions
+    };
+  }
+
+  const guard = guards[to];
+  const reason = guard && guard(...guardArgs, from, now);
+  if (reason) {
+    return { statusCode: 409, message: reason, allowedTransitions };
+  }
+
+  target.status = to;
+  target.statusHistory.push({ from, to, actor: actorId, at: now });
+  return null;
+};
+
+// Move a campaign to a new status
+const transitionCampaign = (campaign, to, actorId, now = new Date()) => applyTransition({
+  table: CAMPAIGN_TRANSITIONS,
+  guards: campaignGuards,
+  target: campaign,
+  to,
+  actorId,
+  now,
+  guardArgs: [campaign],
+  label: 'campaign'
+});
+
+// Move a selected influencer's deliverable to a new status
+const transitionSelection = (selectedInfluencer, to, actorId, now = new Date()) => applyTransition({
+  table: SELECTION_TRANSITIONS,
+  guards: selectionGuards,
+  target: selectedInfluencer,
+  to,
+  actorId,
+  now,
+  guardArgs: [selectedInfluencer],
+  label: 'deliverable'
+});
+
+module.exports = {
+  CAMPAIGN_TRANSITIONS,
+  SELECTION_TRANSITIONS,
+  SETTLED_SELECTION_STATUSES,
+  canCampaignTransition: (from, to) => canTransition(CAMPAIGN_TRANSITIONS, from, to),
+  canSelectionTransition: (from, to) => canTransition(SELECTION_TRANSITIONS, from, to),
+  transitionCampaign,
+  transitionSelection
+};
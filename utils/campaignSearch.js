@@ -0,0 +1,139 @@
+const Campaign = require('../models/Campaign');
+const Brand = require('../models/Brand');
+
+// Sort options accepted by GET /api/campaigns. `relevance` needs a keyword search.
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  budget_desc: { 'budget.max': -1, createdAt: -1 },
+  budget_asc: { 'budget.min': 1, createdAt: -1 },
+  deadline_asc: { 'timeline.applicationDeadline': 1, createdAt: -1 },
+  deadline_desc: { 'timeline.applicationDeadline': -1, createdAt: -1 },
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1 }
+};
+
+const toList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : value.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a MongoDB filter from query string parameters. Values are cast
+// explicitly so the same filter can be used in find() and aggregate().
+const buildSearchFilter = async (params) => {
+  const {
+    q,
+    status = 'active',
+    category,
+    platform,
+    deliverableType,
+    niche,
+    location,
+    industry,
+    minBudget,
+    maxBudget,
+    deadlineFrom,
+    deadlineTo
+  } = params;
+
+  const filter = { status };
+
+  if (q) {
+    filter.$text = { $search: q };
+  }
+
+  const categories = toList(category);
+  if (categories.length > 0) {
+    filter.category = { $in: categories };
+  }
+
+  const platforms = toList(platform);
+  const types = toList(deliverableType);
+  if (platforms.length > 0 && types.length > 0) {
+    // Platform and type must match on the same deliverable
+    filter.deliverables = { $elemMatch: { platform: { $in: platforms }, type: { $in: types } } };
+  } else if (platforms.length > 0) {
+    filter['deliverables.platform'] = { $in: platforms };
+  } else if (types.length > 0) {
+    filter['deliverables.type'] = { $in: types };
+  }
+
+  const niches = toList(niche);
+  if (niches.length > 0) {
+    filter['requirements.niches'] = { $in: niches };
+  }
+
+  const locations = toList(location);
+  if (locations.length > 0) {
+    filter['requirements.targetAudience.location'] = {
+      $in: locations.map(place => new RegExp(`^${escapeRegex(place)}$`, 'i'))
+    };
+  }
+
+  // Budget ranges overlap the requested range
+  if (minBudget) {
+    filter['budget.max'] = { $gte: parseFloat(minBudget) };
+  }
+  if (maxBudget) {
+    filter['budget.min'] = { $lte: parseFloat(maxBudget) };
+  }
+
+  if (deadlineFrom || deadlineTo) {
+    filter['timeline.applicationDeadline'] = {};
+    if (deadlineFrom) filter['timeline.applicationDeadline'].$gte = new Date(deadlineFrom);
+    if (deadlineTo) filter['timeline.applicationDeadline'].$lte = new Date(deadlineTo);
+  }
+
+  const industries = toList(industry);
+  if (industries.length > 0) {
+    const brandIds = await Brand.find({ industry: { $in: industries } }).distinct('_id');
+    filter.brandId = { $in: brandIds };
+  }
+
+  return filter;
+};
+
+const resolveSort = (sort, hasKeywords) => {
+  const key = sort || (hasKeywords ? 'relevance' : 'newest');
+  if (key === 'relevance' && !hasKeywords) return SORT_OPTIONS.newest;
+  return SORT_OPTIONS[key] || SORT_OPTIONS.newest;
+};
+
+// Counts per category and per deliverable platform for the filtered campaigns
+const getFacets = async (filter) => {
+  const [result] = await Campaign.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        platforms: [
+          { $unwind: '$deliverables' },
+          // Count each campaign once per platform
+          { $group: { _id: { campaign: '$_id', platform: '$deliverables.platform' } } },
+          { $group: { _id: '$_id.platform', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const toCounts = (rows) => rows.map(row => ({ value: row._id, count: row.count }));
+
+  return {
+    categories: toCounts(result.categories),
+    platforms: toCounts(result.platforms)
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  buildSearchFilter,
+  resolveSort,
+  getFacets
+};
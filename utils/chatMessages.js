@@ -0,0 +1,110 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { emitToChat, emitToUsers } = require('../sockets/io');
+
+const isParticipant = (chat, userId) =>
+  chat.participants.some(participant => (participant._id || participant).toString() === userId.toString());
+
+// Why the sender may not post in this chat right now, or null if they may.
+// A block by either side stops messages in both directions.
+const checkCanMessage = async (chat, senderId) => {
+  const others = chat.participants.filter(participant =>
+    (participant._id || participant).toString() !== senderId.toString()
+  );
+
+  for (const other of others) {
+    if (await User.isBlockedBetween(senderId, other._id || other)) {
+      return { statusCode: 403, message: 'You cannot send messages to this user' };
+    }
+  }
+
+  return null;
+};
+
+// Store a message, update the chat's lastMessage and push it to participants.
+// Used by both the REST route and the socket handler.
+// `structured` carries the offer/brief/approvalRequest data for those types.
+const postMessage = async (chat, senderId, { content, messageType = 'text', fileUrl = null, fileName = null, ...structured }) => {
+  const message = await Message.create({
+    chatId: chat._id,
+    senderId,
+    content,
+    messageType,
+    fileUrl,
+    fileName,
+    ...structured,
+    readBy: [{
+      userId: senderId,
+      readAt: new Date()
+    }]
+  });
+
+  chat.updateLastMessage(message);
+  await chat.save();
+
+  // Populate sender info for clients
+  await message.populate('senderId', 'email role');
+
+  emitToChat(chat._id, 'message:new', { chatId: chat._id, message });
+  emitToUsers(chat.participants, 'chat:updated', { chatId: chat._id, lastMessage: chat.lastMessage });
+
+  return message;
+};
+
+// Mark the chat read for a user, optionally only up to a given message, and
+// send a read receipt when anything changed
+const markChatRead = async (chat, userId, upTo = null) => {
+  const result = await Message.markChatRead(chat._id, userId, upTo);
+
+  if (result.modifiedCount > 0) {
+    emitToChat(chat._id, 'message:read', {
+      chatId: chat._id,
+      userId,
+      upTo: upTo ? upTo._id : null,
+      readAt: new Date()
+    });
+  }
+
+  return result.modifiedCount;
+};
+
+// Keep the chat list preview in step when its latest message changes
+const refreshLastMessage = async (chat, message) => {
+  if (!chat.lastMessage || !message._id.equals(chat.lastMessage.messageId)) return;
+
+  chat.updateLastMessage(message);
+  await chat.save();
+  emitToUsers(chat.participants, 'chat:updated', { chatId: chat._id, lastMessage: chat.lastMessage });
+};
+
+// Edit a message's content (permission checks are the caller's job)
+const editMessage = async (chat, message, content) => {
+  message.edit(content);
+  await message.save();
+  await message.populate('senderId', 'email role');
+
+  await refreshLastMessage(chat, message);
+  emitToChat(chat._id, 'message:updated', { chatId: chat._id, message });
+
+  return message;
+};
+
+// Soft-delete a message (permission checks are the caller's job)
+const deleteMessage = async (chat, message) => {
+  message.deletedAt = new Date();
+  await message.save();
+
+  await refreshLastMessage(chat, message);
+  emitToChat(chat._id, 'message:deleted', { chatId: chat._id, messageId: message._id });
+
+  return message;
+};
+
+module.exports = {
+  isParticipant,
+  checkCanMessage,
+  postMessage,
+  markChatRead,
+  editMessage,
+  deleteMessage
+};
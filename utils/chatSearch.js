@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+
+// Sort options accepted by GET /api/chat/search
+const SORT_OPTIONS = {
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1 },
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 }
+};
+
+const MAX_QUERY_LENGTH = 200;
+
+// Characters of context kept on each side of the first highlighted term
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Terms to highlight: quoted phrases and plain words, without negated terms
+const searchTerms = (q) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(q)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term) terms.push(term);
+  }
+
+  return terms;
+};
+
+// Build the message filter for a search by `userId`, limited to chats they
+// participate in (the same check as GET /api/chat/:id).
+// Returns { filter } or an error.
+const buildMessageSearch = async (userId, params) => {
+  const { campaignId, participant, from, to, attachments } = params;
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+
+  if (!q) {
+    return { statusCode: 400, message: 'Search query q is required' };
+  }
+
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { statusCode: 400, message: `Search query must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const chatFilter = { participants: userId };
+
+  if (campaignId) {
+    if (!mongoose.isValidObjectId(campaignId)) {
+      return { statusCode: 400, message: 'Invalid campaign id' };
+    }
+    chatFilter.campaignId = campaignId;
+  }
+
+  if (participant) {
+    if (!mongoose.isValidObjectId(participant)) {
+      return { statusCode: 400, message: 'Invalid participant id' };
+    }
+    chatFilter.participants = { $all: [userId, participant] };
+  }
+
+  const filter = {
+    $text: { $search: q },
+    // Deleted messages keep their content for moderation but are never searchable
+    deletedAt: null
+  };
+
+  if (from || to) {
+    filter.createdAt = {};
+
+    if (from) {
+      const fromDate = parseDate(from);
+      if (!fromDate) {
+        return { statusCode: 400, message: 'Invalid from date' };
+      }
+      filter.createdAt.$gte = fromDate;
+    }
+
+    if (to) {
+      const toDate = parseDate(to);
+      if (!toDate) {
+        return { statusCode: 400, message: 'Invalid to date' };
+      }
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  if (attachments === 'true') {
+    filter.messageType = { $in: ['image', 'file'] };
+  }
+
+  const chatIds = await Chat.find(chatFilter).distinct('_id');
+  filter.chatId = { $in: chatIds };
+
+  return { filter, terms: searchTerms(q) };
+};
+
+// A window of `text` around the first matching term, with the character
+// ranges of every term match inside it as { start, end } (end exclusive).
+// Text search matches word stems, so terms are matched as word prefixes.
+const highlightSnippet = (text, terms) => {
+  if (!text) {
+    return { snippet: '', highlights: [] };
+  }
+
+  const pattern = terms.length > 0
+    ? new RegExp(`(?<!\\w)(?:${terms.map(escapeRegex).join('|')})`, 'gi')
+    : null;
+  const firstMatch = pattern ? text.search(pattern) : -1;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_RADIUS * 2) {
+    const center = firstMatch === -1 ? 0 : firstMatch;
+    start = Math.max(0, center - SNIPPET_RADIUS);
+    end = Math.min(text.length, start + SNIPPET_RADIUS * 2);
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${suffix}`;
+
+  const highlights = [];
+  if (pattern) {
+    for (const match of snippet.matchAll(pattern)) {
+      highlights.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return { snippet, highlights };
+};
+
+// Search result for a message: the message with a highlighted snippet of
+// its content, or of its file name when only that matched
+const toSearchResult = (message, terms) => {
+  let highlighted = highlightSnippet(message.content, terms);
+  let field = 'content';
+
+  if (highlighted.highlights.length === 0 && message.fileName) {
+    const fromFileName = highlightSnippet(message.fileName, terms);
+    if (fromFileName.highlights.length > 0) {
+      highlighted = fromFileName;
+      field = 'fileName';
+    }
+  }
+
+  return {
+    ...message.toJSON(),
+    match: { field, ...highlighted }
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  buildMessageSearch,
+  toSearchResult
+};
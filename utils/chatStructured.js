@@ -0,0 +1,298 @@
+const Campaign = require('../models/Campaign');
+const Brand = require('../models/Brand');
+const Influencer = require('../models/Influencer');
+const Message = require('../models/Message');
+const { emitToChat } = require('../sockets/io');
+const { getAvailableFunds, holdForSelections } = require('./ledger');
+
+// Message types that carry campaign data instead of free text
+const STRUCTURED_TYPES = ['offer', 'brief', 'approval_request'];
+
+const DELIVERABLE_TYPES = ['post', 'story', 'reel', 'video', 'blog'];
+const DELIVERABLE_PLATFORMS = ['instagram', 'youtube', 'tiktok', 'twitter', 'blog'];
+
+const sameId = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+// Campaign, brand and influencer behind a campaign chat.
+// Returns { campaign, brand, influencer } or an error.
+const loadCampaignParties = async (chat) => {
+  if (chat.chatType !== 'campaign' || !chat.campaignId) {
+    return { statusCode: 400, message: 'Offers, briefs and approval requests can only be sent in campaign chats' };
+  }
+
+  const campaign = await Campaign.findById(chat.campaignId._id || chat.campaignId);
+  if (!campaign) {
+    return { statusCode: 404, message: 'Campaign not found' };
+  }
+
+  const brand = await Brand.findById(campaign.brandId);
+  if (!brand || !chat.participants.some(participant => brand.isMember(participant))) {
+    return { statusCode: 400, message: 'The campaign brand is not part of this chat' };
+  }
+
+  const otherIds = chat.participants.filter(participant => !brand.isMember(participant));
+  const influencer = await Influencer.findOne({ userId: { $in: otherIds } });
+  if (!influencer) {
+    return { statusCode: 400, message: 'There is no influencer in this chat' };
+  }
+
+  return { campaign, brand, influencer };
+};
+
+// 'brand' (any brand team member) or 'influencer' for the user, or null if
+// they are neither
+const partyOf = ({ brand, influencer }, userId) => {
+  if (brand.isMember(userId)) return 'brand';
+  if (sameId(influencer.userId, userId)) return 'influencer';
+  return null;
+};
+
+// Validate offer deliverables, defaulting to the campaign's own
+const parseDeliverables = (deliverables, campaign) => {
+  if (deliverables === undefined) {
+    return campaign.deliverables.map(({ type, platform, quantity, description }) => ({
+      type,
+      platform,
+      quantity,
+      description
+    }));
+  }
+
+  if (!Array.isArray(deliverables)) return null;
+
+  const valid = deliverables.every(deliverable =>
+    deliverable &&
+    DELIVERABLE_TYPES.includes(deliverable.type) &&
+    DELIVERABLE_PLATFORMS.includes(deliverable.platform) &&
+    Number.isInteger(Number(deliverable.quantity)) &&
+    Number(deliverable.quantity) >= 1
+  );
+  if (!valid) return null;
+
+  return deliverables.map(({ type, platform, quantity, description }) => ({
+    type,
+    platform,
+    quantity: Number(quantity),
+    description
+  }));
+};
+
+const buildOffer = (parties, party, input) => {
+  const { campaign, influencer } = parties;
+
+  if (!['active', 'paused'].includes(campaign.status)) {
+    return { statusCode: 400, message: 'Offers can only be made on active or paused campaigns' };
+  }
+
+  if (campaign.selectedInfluencers.some(si => sameId(si.influencerId, influencer._id))) {
+    return { statusCode: 400, message: 'Influencer is already selected for this campaign' };
+  }
+
+  const rate = Number(input.rate);
+  if (input.rate === undefined || input.rate === '' || !Number.isFinite(rate) || rate < 0) {
+    return { statusCode: 400, message: 'Offer rate must be a non-negative number' };
+  }
+
+  let deadline;
+  if (input.deadline) {
+    deadline = new Date(input.deadline);
+    if (Number.isNaN(deadline.getTime()) || deadline <= new Date()) {
+      return { statusCode: 400, message: 'Offer deadline must be a future date' };
+    }
+  }
+
+  const deliverables = parseDeliverables(input.deliverables, campaign);
+  if (!deliverables) {
+    return { statusCode: 400, message: 'Offer deliverables need a valid type, platform and quantity' };
+  }
+
+  const currency = campaign.budget.currency;
+
+  return {
+    fields: {
+      content: input.content || `Offer from ${party}: ${rate} ${currency}`,
+      offer: { rate, currency, deliverables, deadline, status: 'pending' }
+    }
+  };
+};
+
+const buildBrief = (parties, party, input) => {
+  const { campaign } = parties;
+
+  if (party !== 'brand') {
+    return { statusCode: 403, message: 'Only the brand can send a brief' };
+  }
+
+  const deliverable = input.deliverableId && campaign.deliverables.id(input.deliverableId);
+  if (!deliverable) {
+    return { statusCode: 404, message: 'Deliverable not found' };
+  }
+
+  return {
+    fields: {
+      content: input.content || `Brief: ${deliverable.quantity} ${deliverable.platform} ${deliverable.type}`,
+      brief: { campaignId: campaign._id, deliverableId: deliverable._id }
+    }
+  };
+};
+
+const buildApprovalRequest = (parties, party, input) => {
+  const { campaign, influencer } = parties;
+
+  if (party !== 'influencer') {
+    return { statusCode: 403, message: 'Only the influencer can request approval' };
+  }
+
+  const selection = campaign.selectedInfluencers.find(si => sameId(si.influencerId, influencer._id));
+  const proof = selection && input.proofId && selection.proofOfWork.id(input.proofId);
+  if (!proof) {
+    return { statusCode: 404, message: 'Proof of work not found' };
+  }
+
+  if (proof.status !== 'pending') {
+    return { statusCode: 400, message: `Proof of work is ${proof.status.replace('_', ' ')}, not awaiting review` };
+  }
+
+  return {
+    fields: {
+      content: input.content || `Approval requested for ${proof.type || 'proof of work'}: ${proof.url}`,
+      approvalRequest: { campaignId: campaign._id, selectionId: selection._id, proofId: proof._id }
+    }
+  };
+};
+
+const builders = {
+  offer: buildOffer,
+  brief: buildBrief,
+  approval_request: buildApprovalRequest
+};
+
+// Validate a structured message and return the fields to store with it,
+// as { fields } or an error
+const buildStructuredMessage = async (chat, userId, messageType, input) => {
+  const parties = await loadCampaignParties(chat);
+  if (parties.message) {
+    return parties;
+  }
+
+  const party = partyOf(parties, userId);
+  if (!party) {
+    return { statusCode: 403, message: 'Not authorized for this campaign' };
+  }
+
+  // Offers and briefs commit the brand, so they need the matching team role
+  if (party === 'brand' && !parties.brand.memberCan(userId, 'manage_applications')) {
+    return { statusCode: 403, message: 'Your brand role does not allow this action' };
+  }
+
+  const result = builders[messageType](parties, party, input);
+  if (result.fields) {
+    result.fields.messageType = messageType;
+  }
+
+  return result;
+};
+
+// A new offer replaces any offer still waiting for an answer
+const supersedePendingOffers = (chat) =>
+  Message.updateMany(
+    { chatId: chat._id, messageType: 'offer', 'offer.status': 'pending' },
+    { 'offer.status': 'superseded' }
+  );
+
+// Accept or decline an offer message. Accepting selects the influencer on the
+// campaign at the offered rate, closes their pending application and holds
+// the rate in escrow. Returns { offerMessage, selection } or an error.
+const respondToOffer = async (chat, message, userId, action) => {
+  if (message.messageType !== 'offer' || !message.offer) {
+    return { statusCode: 400, message: 'Only offer messages can be accepted or declined' };
+  }
+
+  if (message.deletedAt) {
+    return { statusCode: 409, message: 'Offer has been deleted' };
+  }
+
+  if (message.offer.status !== 'pending') {
+    return { statusCode: 409, message: `Offer has already been ${message.offer.status}` };
+  }
+
+  if (sameId(message.senderId, userId)) {
+    return { statusCode: 400, message: 'You cannot respond to your own offer' };
+  }
+
+  const parties = await loadCampaignParties(chat);
+  if (parties.message) {
+    return parties;
+  }
+
+  // Brand team members answer for the whole brand, so colleagues cannot
+  // accept each other's offers either
+  const party = partyOf(parties, userId);
+  if (party === partyOf(parties, message.senderId)) {
+    return { statusCode: 400, message: 'You cannot respond to an offer from your own side' };
+  }
+
+  if (party === 'brand' && !parties.brand.memberCan(userId, 'manage_applications')) {
+    return { statusCode: 403, message: 'Your brand role does not allow this action' };
+  }
+
+  const { campaign, influencer } = parties;
+  let selection = null;
+
+  if (action === 'accept') {
+    if (!['active', 'paused'].includes(campaign.status)) {
+      return { statusCode: 400, message: 'Offers can only be accepted on active or paused campaigns' };
+    }
+
+    const { rate, deliverables, deadline } = message.offer;
+    const funds = { available: await getAvailableFunds(campaign._id) };
+    const selectionError = campaign.selectInfluencer(influencer._id, rate, userId, funds);
+    if (selectionError) {
+      return selectionError;
+    }
+
+    // Hold the rate before saving so a failed hold never leaves an unfunded selection
+    const unfunded = await holdForSelections(campaign, [influencer._id], userId);
+    if (unfunded.length > 0) {
+      return { statusCode: 402, message: 'Insufficient campaign funds to hold the agreed rate' };
+    }
+
+    selection = campaign.selectedInfluencers[campaign.selectedInfluencers.length - 1];
+    selection.terms = { deliverables, deadline, messageId: message._id };
+
+    // Record the agreed rate on the application's negotiation history
+    const application = campaign.applications.find(app =>
+      sameId(app.influencerId, influencer._id) && app.status === 'pending'
+    );
+    if (application) {
+      application.offers.push({
+        by: partyOf(parties, message.senderId),
+        rate,
+        message: 'Accepted in chat',
+        withinBudget: campaign.isRateWithinBudget(rate),
+        createdBy: message.senderId
+      });
+      application.status = 'accepted';
+      application.reviewedAt = new Date();
+    }
+
+    await campaign.save();
+  }
+
+  message.offer.status = action === 'accept' ? 'accepted' : 'declined';
+  message.offer.respondedBy = userId;
+  message.offer.respondedAt = new Date();
+  await message.save();
+  await message.populate('senderId', 'email role');
+
+  emitToChat(chat._id, 'message:updated', { chatId: chat._id, message });
+
+  return { offerMessage: message, selection };
+};
+
+module.exports = {
+  STRUCTURED_TYPES,
+  buildStructuredMessage,
+  supersedePendingOffers,
+  respondToOffer
+};
@@ -0,0 +1,120 @@
+// Platforms influencers can link a social account for; other deliverable
+// platforms (e.g. blog) are not checked against socialAccounts
+const SOCIAL_PLATFORMS = ['instagram', 'youtube', 'tiktok', 'twitter'];
+
+const lower = (value) => (value || '').toString().trim().toLowerCase();
+
+const reason = (code, criterion, message, required, actual) => ({
+  code,
+  criterion,
+  message,
+  required,
+  actual
+});
+
+// Campaign requirements the influencer does not meet. Empty when eligible.
+const checkRequirements = (campaign, influencer) => {
+  const requirements = campaign.requirements || {};
+  const reasons = [];
+
+  const minFollowers = requirements.minFollowers || 0;
+  if ((influencer.totalFollowers || 0) < minFollowers) {
+    reasons.push(reason(
+      'MIN_FOLLOWERS',
+      'followers',
+      `Requires at least ${minFollowers} followers`,
+      minFollowers,
+      influencer.totalFollowers || 0
+    ));
+  }
+
+  const minEngagementRate = requirements.minEngagementRate || 0;
+  if ((influencer.averageEngagement || 0) < minEngagementRate) {
+    reasons.push(reason(
+      'MIN_ENGAGEMENT',
+      'engagement',
+      `Requires an average engagement rate of at least ${minEngagementRate}%`,
+      minEngagementRate,
+      Number((influencer.averageEngagement || 0).toFixed(2))
+    ));
+  }
+
+  const niches = requirements.niches || [];
+  const influencerNiches = (influencer.niche || []).map(lower);
+  if (niches.length > 0 && !niches.some(niche => influencerNiches.includes(lower(niche)))) {
+    reasons.push(reason(
+      'NICHE_MISMATCH',
+      'niche',
+      `Requires one of these niches: ${niches.join(', ')}`,
+      niches,
+      influencer.niche || []
+    ));
+  }
+
+  const locations = (requirements.targetAudience && requirements.targetAudience.location) || [];
+  const influencerLocation = influencer.location || {};
+  const inLocation = locations.some(target =>
+    [influencerLocation.country, influencerLocation.city].some(place => place && lower(place) === lower(target))
+  );
+  if (locations.length > 0 && !inLocation) {
+    reasons.push(reason(
+      'LOCATION_MISMATCH',
+      'location',
+      `Requires a location in: ${locations.join(', ')}`,
+      locations,
+      influencerLocation
+    ));
+  }
+
+  const linkedPlatforms = (influencer.socialAccounts || []).map(account => account.platform);
+  const missingPlatforms = [...new Set((campaign.deliverables || []).map(d => d.platform))]
+    .filter(platform => SOCIAL_PLATFORMS.includes(platform) && !linkedPlatforms.includes(platform));
+  if (missingPlatforms.length > 0) {
+    reasons.push(reason(
+      'PLATFORM_MISSING',
+      'platforms',
+      `Requires a linked ${missingPlatforms.join(', ')} account for the campaign deliverables`,
+      missingPlatforms,
+      linkedPlatforms
+    ));
+  }
+
+  return reasons;
+};
+
+// Everything that would stop the influencer applying right now: profile and
+// campaign state as well as the campaign requirements
+const evaluateEligibility = (campaign, influencer, now = new Date()) => {
+  const reasons = [];
+
+  if (influencer.status !== 'approved') {
+    reasons.push(reason('PROFILE_NOT_APPROVED', 'profile', 'Influencer profile must be approved to apply', 'approved', influencer.status));
+  }
+
+  if (campaign.status !== 'active') {
+    reasons.push(reason('CAMPAIGN_NOT_ACTIVE', 'campaign', 'Campaign is not active', 'active', campaign.status));
+  }
+
+  if (now > new Date(campaign.timeline.applicationDeadline)) {
+    reasons.push(reason('DEADLINE_PASSED', 'campaign', 'Application deadline has passed', campaign.timeline.applicationDeadline, now));
+  }
+
+  const alreadyApplied = campaign.applications.some(
+    app => app.influencerId.toString() === influencer._id.toString()
+  );
+  if (alreadyApplied) {
+    reasons.push(reason('ALREADY_APPLIED', 'application', 'Already applied to this campaign', false, true));
+  }
+
+  reasons.push(...checkRequirements(campaign, influencer));
+
+  return {
+    eligible: reasons.length === 0,
+    reasons
+  };
+};
+
+module.exports = {
+  checkRequirements,
+  evaluateEligibility
+};
@@ -2,7 +2,7 @@ const nodemailer = require('nodemailer');
 
 // Create transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     secure: false, // true for 465, false for other ports
@@ -37,6 +37,35 @@ const sendEmail = async (options) => {
 
 // Email templates
 const emailTemplates = {
+  emailVerification: (verifyUrl, expiresIn) => ({
+    subject: 'Verify your email address',
+    html: `
+      <h1>Confirm your email</h1>
+      <p>Please verify your email address to start creating campaigns, applying and chatting.</p>
+      <p><a href="${verifyUrl}">Verify my email</a></p>
+      <p>This link expires in ${expiresIn}. If you did not sign up, you can ignore this email.</p>
+    `
+  }),
+
+  accountLocked: (lockUntil) => ({
+    subject: 'Your account has been temporarily locked',
+    html: `
+      <h1>Too many failed login attempts</h1>
+      <p>We locked your account until <strong>${new Date(lockUntil).toUTCString()}</strong> after repeated failed sign-in attempts.</p>
+      <p>If this wasn't you, reset your password now; doing so also unlocks your account.</p>
+    `
+  }),
+
+  brandTeamInvitation: (companyName, role, acceptUrl, expiresAt) => ({
+    subject: `Join ${companyName} on Influencer Marketplace`,
+    html: `
+      <h1>You're invited to ${companyName}</h1>
+      <p>You have been invited to join the <strong>${companyName}</strong> team as <strong>${role}</strong>.</p>
+      <p><a href="${acceptUrl}">Accept the invitation</a> while signed in to a brand account with this email address. If you don't have an account yet, sign up as a brand first.</p>
+      <p>This invitation expires on ${new Date(expiresAt).toUTCString()}.</p>
+    `
+  }),
+
   welcome: (name) => ({
     subject: 'Welcome to Influencer Marketplace',
     html: `
@@ -81,18 +110,45 @@ const emailTemplates = {
       <p>Your application for <strong>${campaignTitle}</strong> by <strong>${brandName}</strong> has been accepted!</p>
       <p>Check your dashboard for next steps.</p>
     `
+  }),
+
+  campaignInvitation: (campaignTitle, brandName, offeredRate, currency) => ({
+    subject: `You're Invited: ${campaignTitle}`,
+    html: `
+      <h1>New Campaign Invitation</h1>
+      <p><strong>${brandName}</strong> has invited you to join <strong>${campaignTitle}</strong> for <strong>${offeredRate} ${currency}</strong>.</p>
+      <p>Accept, decline or send a counter-offer from your dashboard.</p>
+    `
+  }),
+
+  deliverableReminder: (campaignTitle, campaignEnd) => ({
+    subject: `Reminder: Deliverables Due for ${campaignTitle}`,
+    html: `
+      <h1>Deliverables Due Soon</h1>
+      <p>Your deliverables for <strong>${campaignTitle}</strong> are due by <strong>${new Date(campaignEnd).toUTCString()}</strong>.</p>
+      <p>Submit your proof of work from your dashboard before the campaign ends.</p>
+    `
+  }),
+
+  invitationResponse: (influencerName, campaignTitle, response) => ({
+    subject: 'Campaign Invitation Update',
+    html: `
+      <h1>Invitation ${response}</h1>
+      <p><strong>${influencerName}</strong> has ${response} your invitation to <strong>${campaignTitle}</strong>.</p>
+      <p>Review the details in your dashboard.</p>
+    `
   })
 };
 
 // Send template email
-const sendTemplateEmail = async (email, templateName, data) => {
+const sendTemplateEmail = async (email, templateName, ...data) => {
   try {
     const template = emailTemplates[templateName];
     if (!template) {
       throw new Error(`Email template '${templateName}' not found`);
     }
 
-    const emailContent = template(data);
+    const emailContent = template(...data);
     await sendEmail({
       email,
       subject: emailContent.subject,
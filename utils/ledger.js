@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Brand = require('../models/Brand');
+const Influencer = require('../models/Influencer');
+const { getPaymentProvider } = require('./payments');
+
+// Ledger account names. Balances are debits minus credits, so money sitting in
+// escrow, held for an influencer or earned by an influencer is positive, and
+// the brand's source account goes negative as the brand pays in.
+const accounts = {
+  brandSource: (brandId) => `brand:${brandId}:source`,
+  campaignEscrow: (campaignId) => `campaign:${campaignId}:escrow`,
+  campaignHold: (campaignId, influencerId) => `campaign:${campaignId}:hold:${influencerId}`,
+  influencerEarnings: (influencerId) => `influencer:${influencerId}:earnings`
+};
+
+const signedAmount = {
+  $cond: [
+    { $eq: ['$entries.direction', 'debit'] },
+    '$entries.amount',
+    { $multiply: ['$entries.amount', -1] }
+  ]
+};
+
+const DUPLICATE_KEY = 11000;
+
+// Transactions whose provider call has not finished do not count as posted
+const POSTED = { status: { $ne: 'pending' } };
+
+// Brand source accounts go negative as brands pay in; every other account
+// holds real money and must never be overdrawn
+const isSourceAccount = (account) => account.startsWith('brand:') && account.endsWith(':source');
+
+// Posted balances of every account matching a regex, keyed by account name
+const getAccountBalances = async (accountPattern) => {
+  const rows = await LedgerTransaction.aggregate([
+    { $match: { ...POSTED, 'entries.account': accountPattern } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': accountPattern } },
+    { $group: { _id: '$entries.account', balance: { $sum: signedAmount } } }
+  ]);
+
+  return rows.reduce((balances, row) => {
+    balances[row._id] = row.balance;
+    return balances;
+  }, {});
+};
+
+const getAccountBalance = async (account) => {
+  const balances = await getAccountBalances(new RegExp(`^${account}$`));
+  return balances[account] || 0;
+};
+
+// Create running balances for accounts that predate them, seeded from the
+// ledger. Nothing is posted to an account before its running balance exists,
+// so a seed never misses or double counts a transaction.
+const ensureAccounts = async (names) => {
+  const existing = await LedgerAccount.find({ account: { $in: names } }).distinct('account');
+
+  for (const account of names.filter(name => !existing.includes(name))) {
+    const balance = await getAccountBalance(account);
+    try {
+      await LedgerAccount.updateOne({ account }, { $setOnInsert: { balance } }, { upsert: true });
+    } catch (error) {
+      // Seeded by a concurrent posting
+      if (error.code !== DUPLICATE_KEY) throw error;
+    }
+  }
+};
+
+// Running balances keyed by account name. Money reserved by postings still
+// in flight has already been taken out.
+const getRunningBalances = async (names) => {
+  await ensureAccounts(names);
+  const rows = await LedgerAccount.find({ account: { $in: names } });
+
+  return rows.reduce((balances, row) => {
+    balances[row.account] = row.balance;
+    return balances;
+  }, {});
+};
+
+const getRunningBalance = async (account) => (await getRunningBalances([account]))[account] || 0;
+
+const adjustBalance = (account, amount) =>
+  LedgerAccount.updateOne({ account }, { $inc: { balance: amount }, $set: { updatedAt: new Date() } });
+
+// Take the credited amounts out of their accounts. Each withdrawal checks and
+// updates the balance in one conditional update, so concurrent postings cannot
+// overdraw an account. Returns false, with nothing withdrawn, when one would.
+const withdraw = async (credits) => {
+  const withdrawn = [];
+
+  for (const entry of credits) {
+    const filter = isSourceAccount(entry.account)
+      ? { account: entry.account }
+      : { account: entry.account, balance: { $gte: entry.amount } };
+
+    const result = await LedgerAccount.updateOne(filter, {
+      $inc: { balance: -entry.amount },
+      $set: { updatedAt: new Date() }
+    });
+
+    if (result.modifiedCount === 0) {
+      await Promise.all(withdrawn.map(done => adjustBalance(done.account, done.amount)));
+      return false;
+    }
+    withdrawn.push(entry);
+  }
+
+  return true;
+};
+
+// Record a balanced transaction. The idempotency key is claimed first with a
+// pending transaction and the credited accounts are withdrawn from; only then
+// does `perform` call the payment provider, returning fields to store on the
+// transaction. Debited accounts are credited once the transaction is posted.
+// Returns the transaction (an earlier one if the key was already claimed), or
+// null when a credited account has insufficient funds.
+const postTransaction = async (transaction, perform) => {
+  await ensureAccounts(transaction.entries.map(entry => entry.account));
+
+  let pending;
+  try {
+    pending = await LedgerTransaction.create({ ...transaction, status: 'pending' });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY && transaction.idempotencyKey) {
+      return LedgerTransaction.findOne({ idempotencyKey: transaction.idempotencyKey });
+    }
+    throw error;
+  }
+
+  const credits = transaction.entries.filter(entry => entry.direction === 'credit');
+  const debits = transaction.entries.filter(entry => entry.direction === 'debit');
+
+  if (!(await withdraw(credits))) {
+    await LedgerTransaction.deleteOne({ _id: pending._id });
+    return null;
+  }
+
+  if (perform) {
+    try {
+      pending.set(await perform());
+    } catch (error) {
+      // Nothing moved at the provider, so free the key for a retry
+      await Promise.all(credits.map(entry => adjustBalance(entry.account, entry.amount)));
+      await LedgerTransaction.deleteOne({ _id: pending._id });
+      throw error;
+    }
+  }
+
+  await Promise.all(debits.map(entry => adjustBalance(entry.account, entry.amount)));
+  pending.status = 'posted';
+  return pending.save();
+};
+
+const alreadyPosted = async (idempotencyKey) =>
+  LedgerTransaction.findOne({ idempotencyKey });
+
+// Unallocated money in a campaign's escrow
+const getAvailableFunds = (campaignId) => getRunningBalance(accounts.campaignEscrow(campaignId));
+
+// Escrow, per-influencer holds and movement totals for a campaign
+const getCampaignBalances = async (campaignId) => {
+  const balances = await getAccountBalances(new RegExp(`^campaign:${campaignId}:`));
+  const holdPrefix = `campaign:${campaignId}:hold:`;
+
+  const held = {};
+  Object.keys(balances)
+    .filter(account => account.startsWith(holdPrefix))
+    .forEach(account => {
+      held[account.slice(holdPrefix.length)] = balances[account];
+    });
+
+  const totals = await LedgerTransaction.aggregate([
+    { $match: { ...POSTED, campaignId: new mongoose.Types.ObjectId(campaignId) } },
+    { $group: { _id: '$type', amount: { $sum: '$amount' } } }
+  ]);
+  const totalFor = (type) => (totals.find(row => row._id === type) || {}).amount || 0;
+
+  return {
+    available: balances[accounts.campaignEscrow(campaignId)] || 0,
+    held,
+    totalHeld: Object.values(held).reduce((total, amount) => total + amount, 0),
+    funded: totalFor('fund'),
+    released: totalFor('release'),
+    refunded: totalFor('refund')
+  };
+};
+
+// Brand pays money into the campaign's escrow. Retrying with the same
+// idempotency key returns the original transaction instead of charging again.
+const fundCampaign = async (campaign, amount, actorId, idempotencyKey = crypto.randomUUID()) => {
+  const provider = getPaymentProvider();
+
+  return postTransaction({
+    type: 'fund',
+    campaignId: campaign._id,
+    brandId: campaign.brandId,
+    amount,
+    currency: campaign.budget.currency,
+    entries: [
+      { account: accounts.campaignEscrow(campaign._id), direction: 'debit', amount },
+      { account: accounts.brandSource(campaign.brandId), direction: 'credit', amount }
+    ],
+    idempotencyKey: `fund:${campaign._id}:${idempotencyKey}`,
+    createdBy: actorId
+  }, async () => {
+    const charge = await provider.charge({
+      amount,
+      currency: campaign.budget.currency,
+      brandId: campaign.brandId,
+      description: `Funding for campaign ${campaign._id}`
+    });
+    return { provider: provider.name, providerReference: charge.reference };
+  });
+};
+
+// Reserve escrowed money for a selected influencer. Returns null when the
+// escrow does not hold enough unallocated money.
+const holdForSelection = async (campaign, influencerId, amount, actorId) =>
+  postTransaction({
+    type: 'hold',
+    campaignId: campaign._id,
+    brandId: campaign.brandId,
+    influencerId,
+    amount,
+    currency: campaign.budget.currency,
+    entries: [
+      { account: accounts.campaignHold(campaign._id, influencerId), direction: 'debit', amount },
+      { account: accounts.campaignEscrow(campaign._id), direction: 'credit', amount }
+    ],
+    idempotencyKey: `hold:${campaign._id}:${influencerId}`,
+    createdBy: actorId
+  });
+
+// Hold the agreed rate of each newly selected influencer. Run this before the
+// selection is saved; returns the influencer ids that could not be funded.
+const holdForSelections = async (campaign, influencerIds, actorId) => {
+  const unfunded = [];
+
+  for (const influencerId of influencerIds) {
+    const selectedInfluencer = campaign.selectedInfluencers.find(
+      si => si.influencerId.toString() === influencerId.toString()
+    );
+    if (selectedInfluencer && selectedInfluencer.agreedRate > 0) {
+      const hold = await holdForSelection(campaign, influencerId, selectedInfluencer.agreedRate, actorId);
+      if (!hold) unfunded.push(influencerId);
+    }
+  }
+
+  return unfunded;
+};
+
+// Pay an influencer out of their hold. Releases the whole hold unless an amount is given.
+const releaseForSelection = async (campaign, influencerId, actorId, options = {}) => {
+  const idempotencyKey = `release:${campaign._id}:${influencerId}${options.key ? `:${options.key}` : ''}`;
+  const holdAccount = accounts.campaignHold(campaign._id, influencerId);
+  const provider = getPaymentProvider();
+
+  // A concurrent release can shrink the hold between reading and withdrawing
+  // it; read the new balance and try again
+  for (;;) {
+    const existing = await alreadyPosted(idempotencyKey);
+    if (existing) return existing;
+
+    const held = await getRunningBalance(holdAccount);
+    const amount = Math.min(options.amount !== undefined ? options.amount : held, held);
+    if (amount <= 0) return null;
+
+    const transaction = await postTransaction({
+      type: 'release',
+      campaignId: campaign._id,
+      brandId: campaign.brandId,
+      influencerId,
+      amount,
+      currency: campaign.budget.currency,
+      entries: [
+        { account: accounts.influencerEarnings(influencerId), direction: 'debit', amount },
+        { account: holdAccount, direction: 'credit', amount }
+      ],
+      idempotencyKey,
+      createdBy: actorId
+    }, async () => {
+      const payout = await provider.payout({
+        amount,
+        currency: campaign.budget.currency,
+        influencerId,
+        description: `Payout for campaign ${campaign._id}`
+      });
+      return { provider: provider.name, providerReference: payout.reference };
+    });
+
+    if (transaction) {
+      await syncDerivedTotals(campaign.brandId, influencerId);
+      return transaction;
+    }
+  }
+};
+
+// Return unallocated escrow and any outstanding holds to the brand
+const refundCampaign = async (campaign, actorId) => {
+  const idempotencyKey = `refund:${campaign._id}`;
+  const provider = getPaymentProvider();
+  const campaignPrefix = `campaign:${campaign._id}:`;
+
+  // Retried like releases when a concurrent posting changes a balance
+  for (;;) {
+    const existing = await alreadyPosted(idempotencyKey);
+    if (existing) return existing;
+
+    const names = (await LedgerTransaction.distinct('entries.account', { campaignId: campaign._id }))
+      .filter(account => account.startsWith(campaignPrefix));
+    const balances = await getRunningBalances(names);
+    const entries = Object.keys(balances)
+      .filter(account => balances[account] > 0)
+      .map(account => ({ account, direction: 'credit', amount: balances[account] }));
+
+    const amount = entries.reduce((total, entry) => total + entry.amount, 0);
+    if (amount <= 0) return null;
+
+    const transaction = await postTransaction({
+      type: 'refund',
+      campaignId: campaign._id,
+      brandId: campaign.brandId,
+      amount,
+      currency: campaign.budget.currency,
+      entries: [
+        ...entries,
+        { account: accounts.brandSource(campaign.brandId), direction: 'debit', amount }
+      ],
+      idempotencyKey,
+      createdBy: actorId
+    }, async () => {
+      const refund = await provider.refund({
+        amount,
+        currency: campaign.budget.currency,
+        brandId: campaign.brandId,
+        description: `Refund for campaign ${campaign._id}`
+      });
+      return { provider: provider.name, providerReference: refund.reference };
+    });
+
+    if (transaction) return transaction;
+  }
+};
+
+// Money actually paid out to influencers on a brand's campaigns
+const getBrandSpend = async (brandId) => {
+  const [result] = await LedgerTransaction.aggregate([
+    { $match: { ...POSTED, brandId: new mongoose.Types.ObjectId(brandId), type: 'release' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  return result ? result.amount : 0;
+};
+
+const getInfluencerEarnings = (influencerId) =>
+  getAccountBalance(accounts.influencerEarnings(influencerId));
+
+// Refresh the cached Brand.totalSpent and Influencer.totalEarnings from the ledger
+const syncDerivedTotals = async (brandId, influencerId) => {
+  const updates = [Brand.updateOne({ _id: brandId }, { totalSpent: await getBrandSpend(brandId) })];
+
+  if (influencerId) {
+    updates.push(Influencer.updateOne(
+      { _id: influencerId },
+      { totalEarnings: await getInfluencerEarnings(influencerId) }
+    ));
+  }
+
+  await Promise.all(updates);
+};
+
+module.exports = {
+  accounts,
+  getAvailableFunds,
+  getCampaignBalances,
+  fundCampaign,
+  holdForSelection,
+  holdForSelections,
+  releaseForSelection,
+  refundCampaign,
+  getBrandSpend,
+  getInfluencerEarnings,
+  syncDerivedTotals
+};
@@ -0,0 +1,208 @@
+const Influencer = require('../models/Influencer');
+const Campaign = require('../models/Campaign');
+
+// Relative importance of each criterion. Override with MATCHING_WEIGHTS
+// (JSON, e.g. {"followers":2,"niche":3}) or per request.
+const DEFAULT_WEIGHTS = {
+  followers: 0.3,
+  engagement: 0.25,
+  niche: 0.3,
+  location: 0.15
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Weights arrive as a JSON string or, from a query string, an object
+const readWeights = (source) => {
+  if (typeof source !== 'string') return source;
+
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Error message for request weights that are not an object, or null
+const validateWeights = (source) => {
+  if (source === undefined || source === '') return null;
+  return isPlainObject(readWeights(source)) ? null : 'weights must be a JSON object';
+};
+
+const parseWeights = (source) => {
+  if (!source) return {};
+
+  const parsed = readWeights(source);
+  if (!isPlainObject(parsed)) {
+    console.error('Invalid matching weights: expected a JSON object');
+    return {};
+  }
+
+  // Only keep known criteria with non-negative numeric weights
+  return Object.keys(DEFAULT_WEIGHTS).reduce((weights, criterion) => {
+    const value = parseFloat(parsed[criterion]);
+    if (!Number.isNaN(value) && value >= 0) {
+      weights[criterion] = value;
+    }
+    return weights;
+  }, {});
+};
+
+// Defaults, then environment configuration, then per-request overrides
+const resolveWeights = (overrides) => ({
+  ...DEFAULT_WEIGHTS,
+  ...parseWeights(process.env.MATCHING_WEIGHTS),
+  ...parseWeights(overrides)
+});
+
+const ratio = (actual, required) => {
+  if (!required) return 1;
+  return Math.min(1, (actual || 0) / required);
+};
+
+const lower = (value) => (value || '').toString().trim().toLowerCase();
+
+// Score each criterion between 0 and 1 with a short explanation
+const criteria = {
+  followers: (campaign, influencer) => {
+    const required = campaign.requirements.minFollowers || 0;
+    return {
+      score: ratio(influencer.totalFollowers, required),
+      detail: `${influencer.totalFollowers || 0} followers (minimum ${required})`
+    };
+  },
+
+  engagement: (campaign, influencer) => {
+    const required = campaign.requirements.minEngagementRate || 0;
+    const actual = Number((influencer.averageEngagement || 0).toFixed(2));
+    return {
+      score: ratio(influencer.averageEngagement, required),
+      detail: `${actual}% engagement (minimum ${required}%)`
+    };
+  },
+
+  niche: (campaign, influencer) => {
+    const wanted = (campaign.requirements.niches && campaign.requirements.niches.length > 0)
+      ? campaign.requirements.niches
+      : [campaign.category];
+    const offered = (influencer.niche || []).map(lower);
+    const matched = wanted.filter(niche => offered.includes(lower(niche)));
+
+    return {
+      score: matched.length / wanted.length,
+      detail: matched.length > 0
+        ? `Matches ${matched.join(', ')}`
+        : `No overlap with ${wanted.join(', ')}`
+    };
+  },
+
+  location: (campaign, influencer) => {
+    const targets = (campaign.requirements.targetAudience && campaign.requirements.targetAudience.location) || [];
+    if (targets.length === 0) {
+      return { score: 1, detail: 'No location requirement' };
+    }
+
+    const location = influencer.location || {};
+    const matched = targets.find(target =>
+      [location.country, location.city].some(place => place && lower(place) === lower(target))
+    );
+
+    return {
+      score: matched ? 1 : 0,
+      detail: matched ? `Located in ${matched}` : `Not located in ${targets.join(', ')}`
+    };
+  }
+};
+
+// Weighted 0-100 score with a per-criterion breakdown
+const scoreMatch = (campaign, influencer, weights = resolveWeights()) => {
+  const totalWeight = Object.values(weights).reduce((total, weight) => total + weight, 0);
+
+  const breakdown = {};
+  let weighted = 0;
+
+  Object.keys(criteria).forEach(criterion => {
+    const { score, detail } = criteria[criterion](campaign, influencer);
+    const weight = weights[criterion] || 0;
+    weighted += score * weight;
+    breakdown[criterion] = {
+      score: Math.round(score * 100),
+      weight,
+      detail
+    };
+  });
+
+  return {
+    score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0,
+    breakdown
+  };
+};
+
+// Score every candidate a query cursor yields, keeping only the best `limit` so
+// memory stays bounded however many match. Ties keep the cursor's order.
+const topMatches = async (cursor, score, limit) => {
+  const best = [];
+
+  for await (const candidate of cursor) {
+    const match = score(candidate);
+    if (best.length < limit || match.score > best[best.length - 1].score) {
+      best.push(match);
+      best.sort((a, b) => b.score - a.score);
+      if (best.length > limit) best.pop();
+    }
+  }
+
+  return best;
+};
+
+// Best-matching approved influencers for a campaign, excluding those already selected
+const recommendInfluencers = async (campaign, { weights, limit = 10 } = {}) => {
+  const resolved = resolveWeights(weights);
+  const selectedIds = campaign.selectedInfluencers.map(si => si.influencerId);
+
+  const cursor = Influencer.find({
+    status: 'approved',
+    _id: { $nin: selectedIds }
+  })
+    .select('-kycDocuments')
+    .sort({ totalFollowers: -1 })
+    .cursor();
+
+  return topMatches(
+    cursor,
+    influencer => ({ influencer, ...scoreMatch(campaign, influencer, resolved) }),
+    limit
+  );
+};
+
+// Best-matching open campaigns for an influencer, excluding those already applied to
+const recommendCampaigns = async (influencer, { weights, limit = 10 } = {}) => {
+  const resolved = resolveWeights(weights);
+
+  const cursor = Campaign.find({
+    status: 'active',
+    'timeline.applicationDeadline': { $gt: new Date() },
+    'applications.influencerId': { $ne: influencer._id },
+    'selectedInfluencers.influencerId': { $ne: influencer._id }
+  })
+    .populate('brandId', 'companyName logo industry')
+    .select('-applications -selectedInfluencers')
+    .sort({ createdAt: -1 })
+    .cursor();
+
+  return topMatches(
+    cursor,
+    campaign => ({ campaign, ...scoreMatch(campaign, influencer, resolved) }),
+    limit
+  );
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  resolveWeights,
+  validateWeights,
+  scoreMatch,
+  recommendInfluencers,
+  recommendCampaigns
+};
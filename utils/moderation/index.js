@@ -0,0 +1,99 @@
+const Report = require('../../models/Report');
+const localRules = require('./localRules');
+
+// Moderators are async functions (text) => [{ rule, action, matches }] where
+// action is block, mask or flag. Every registered moderator runs on each text.
+let moderators = [localRules];
+
+// Add a moderator, e.g. an external classification service
+const registerModerator = (moderator) => {
+  moderators.push(moderator);
+};
+
+// Replace all moderators, e.g. with a stub in tests
+const setModerators = (list) => {
+  moderators = list;
+};
+
+// Report reason used when a rule flags content for review
+const REASON_BY_RULE = {
+  words: 'inappropriate',
+  phone: 'off_platform',
+  email: 'off_platform',
+  links: 'off_platform'
+};
+
+const maskMatch = (text, match) => text.split(match).join('*'.repeat(match.length));
+
+// Run the pipeline over one text. Returns the text to store (with masked
+// matches replaced), whether it must be rejected, and the violations found.
+const moderateText = async (text) => {
+  const results = await Promise.all(moderators.map(moderator => moderator(text)));
+  const violations = results.flat();
+
+  const moderatedText = violations
+    .filter(violation => violation.action === 'mask')
+    .reduce((masked, violation) => violation.matches.reduce(maskMatch, masked), text);
+
+  return {
+    text: moderatedText,
+    violations,
+    blocked: violations.some(violation => violation.action === 'block'),
+    flagged: violations.some(violation => violation.action === 'flag')
+  };
+};
+
+// Moderate several named fields at once. Non-string values are skipped.
+// Returns { values, blocked, flags } where values holds the texts to store,
+// blocked lists rejected fields and flags lists fields for admin review.
+const moderateFields = async (fields) => {
+  const values = {};
+  const blocked = [];
+  const flags = [];
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (typeof value !== 'string' || !value) continue;
+
+    const result = await moderateText(value);
+    values[field] = result.text;
+
+    if (result.blocked) {
+      blocked.push({
+        field,
+        violations: result.violations.filter(violation => violation.action === 'block')
+      });
+    }
+
+    if (result.flagged) {
+      flags.push({
+        field,
+        text: value,
+        violations: result.violations.filter(violation => violation.action === 'flag')
+      });
+    }
+  }
+
+  return { values, blocked, flags };
+};
+
+// Queue flagged content for admin review alongside user reports
+const flagForReview = async (flags, target) => {
+  if (!flags || flags.length === 0) return null;
+
+  const firstRule = flags[0].violations[0].rule;
+
+  return Report.create({
+    ...target,
+    source: 'moderation',
+    reason: REASON_BY_RULE[firstRule] || 'other',
+    flaggedContent: flags
+  });
+};
+
+module.exports = {
+  registerModerator,
+  setModerators,
+  moderateText,
+  moderateFields,
+  flagForReview
+};
@@ -0,0 +1,95 @@
+// Local rules engine. Each rule finds matches in a piece of text; the
+// configured action decides what the pipeline does with them.
+//
+// Configuration (all optional):
+//   MODERATION_WORDS            comma-separated list of banned words
+//   MODERATION_ALLOWED_DOMAINS  comma-separated domains links may point to
+//   MODERATION_ACTIONS          JSON map of rule name to block, mask or flag
+
+const DEFAULT_ACTIONS = {
+  words: 'mask',
+  phone: 'mask',
+  email: 'mask',
+  links: 'flag'
+};
+
+const ACTIONS = ['block', 'mask', 'flag'];
+
+// Social platforms influencers link to as part of their work
+const DEFAULT_ALLOWED_DOMAINS = ['instagram.com', 'youtube.com', 'youtu.be', 'tiktok.com', 'twitter.com', 'x.com'];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Candidate phone numbers; only runs of 9-15 digits count, so dates and prices pass
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+const toList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const resolveActions = () => {
+  let overrides = {};
+  if (process.env.MODERATION_ACTIONS) {
+    try {
+      overrides = JSON.parse(process.env.MODERATION_ACTIONS);
+    } catch (error) {
+      console.error('Invalid moderation actions:', error.message);
+    }
+  }
+
+  return Object.keys(DEFAULT_ACTIONS).reduce((actions, rule) => {
+    actions[rule] = ACTIONS.includes(overrides[rule]) ? overrides[rule] : DEFAULT_ACTIONS[rule];
+    return actions;
+  }, {});
+};
+
+const hostOf = (link) => {
+  try {
+    const url = new URL(link.startsWith('www.') ? `http://${link}` : link);
+    return url.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+const isAllowedHost = (host, allowed) =>
+  Boolean(host) && allowed.some(domain => host === domain || host.endsWith(`.${domain}`));
+
+const rules = {
+  words: (text) => {
+    const words = toList(process.env.MODERATION_WORDS);
+    if (words.length === 0) return [];
+
+    const pattern = new RegExp(`\\b(?:${words.map(escapeRegex).join('|')})\\b`, 'gi');
+    return text.match(pattern) || [];
+  },
+
+  phone: (text) => (text.match(PHONE_PATTERN) || []).filter(match => {
+    const digits = match.replace(/\D/g, '').length;
+    return digits >= 9 && digits <= 15;
+  }),
+
+  email: (text) => text.match(EMAIL_PATTERN) || [],
+
+  links: (text) => {
+    const allowed = process.env.MODERATION_ALLOWED_DOMAINS
+      ? toList(process.env.MODERATION_ALLOWED_DOMAINS)
+      : DEFAULT_ALLOWED_DOMAINS;
+
+    return (text.match(LINK_PATTERN) || []).filter(link => !isAllowedHost(hostOf(link), allowed));
+  }
+};
+
+// Moderator interface: (text) => [{ rule, action, matches }]
+const localRules = async (text) => {
+  const actions = resolveActions();
+
+  return Object.keys(rules)
+    .map(rule => ({ rule, action: actions[rule], matches: [...new Set(rules[rule](text))] }))
+    .filter(violation => violation.matches.length > 0);
+};
+
+module.exports = localRules;
@@ -0,0 +1,178 @@
+// Shared cursor pagination for list routes.
+//
+// Cursors are opaque base64url strings. For ordinary sorts they hold the sort
+// key values of the boundary document, so the next page is a range query on
+// the sort keys (with _id as tie-breaker) instead of a skip. Sorts that cannot
+// be expressed as a range (e.g. text score) fall back to an offset cursor.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Clamp the requested page size to 1..maxLimit
+const parseLimit = (value, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) => {
+  const limit = parseInt(value);
+  if (Number.isNaN(limit)) return Math.min(defaultLimit, maxLimit);
+  return Math.min(Math.max(limit, 1), maxLimit);
+};
+
+// Sort keys with _id appended so every position is unique
+const sortKeys = (sort) => {
+  const keys = Object.entries(sort);
+  if (!sort._id) {
+    const lastDirection = keys.length > 0 ? keys[keys.length - 1][1] : -1;
+    keys.push(['_id', lastDirection]);
+  }
+  return keys;
+};
+
+const isRangeSortable = (sort) =>
+  Object.values(sort).every(direction => direction === 1 || direction === -1);
+
+const readValue = (doc, key) => {
+  const value = typeof doc.get === 'function'
+    ? doc.get(key)
+    : key.split('.').reduce((current, part) => (current == null ? current : current[part]), doc);
+  return value === undefined ? null : value;
+};
+
+// Documents strictly after (or before) the boundary values in sort order
+const rangeFilter = (keys, values, backwards) => {
+  const clauses = keys.map(([key, direction], index) => {
+    const clause = {};
+    keys.slice(0, index).forEach(([previousKey], previousIndex) => {
+      clause[previousKey] = values[previousIndex];
+    });
+    const ascending = backwards ? direction === -1 : direction === 1;
+    clause[key] = { [ascending ? '$gt' : '$lt']: values[index] };
+    return clause;
+  });
+
+  return { $or: clauses };
+};
+
+const reverseSort = (keys) =>
+  keys.reduce((sort, [key, direction]) => {
+    sort[key] = -direction;
+    return sort;
+  }, {});
+
+const buildLink = (req, cursor) => {
+  const params = new URLSearchParams();
+  Object.entries(req.query).forEach(([key, value]) => {
+    if (key === 'cursor' || key === 'page') return;
+    [].concat(value).forEach(item => params.append(key, String(item)));
+  });
+  params.set('cursor', cursor);
+  const path = req.path === '/' ? '' : req.path;
+  return `${req.baseUrl}${path}?${params.toString()}`;
+};
+
+// Run a paginated find for a list route. `build` can add populate/select to
+// the query. Returns { data, pagination } or { error } for a bad cursor.
+const paginate = async (req, Model, filter, {
+  sort = { createdAt: -1 },
+  defaultLimit = DEFAULT_LIMIT,
+  maxLimit = MAX_LIMIT,
+  build = query => query
+} = {}) => {
+  const limit = parseLimit(req.query.limit, defaultLimit, maxLimit);
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+  if (req.query.cursor && !cursor) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const total = await Model.countDocuments(filter);
+
+  if (!isRangeSortable(sort)) {
+    const offset = cursor ? parseInt(cursor.o) || 0 : 0;
+    const data = await build(Model.find(filter))
+      .sort(sort)
+      .skip(offset)
+      .limit(limit + 1);
+
+    const hasNext = data.length > limit;
+    const hasPrev = offset > 0;
+    const nextCursor = hasNext ? encodeCursor({ o: offset + limit }) : null;
+    const prevCursor = hasPrev ? encodeCursor({ o: Math.max(0, offset - limit) }) : null;
+
+    return {
+      data: data.slice(0, limit),
+      pagination: {
+        limit,
+        total,
+        hasNext,
+        hasPrev,
+        nextCursor,
+        prevCursor,
+        next: nextCursor && buildLink(req, nextCursor),
+        prev: prevCursor && buildLink(req, prevCursor)
+      }
+    };
+  }
+
+  const keys = sortKeys(sort);
+  const backwards = Boolean(cursor && cursor.d === 'prev');
+
+  if (cursor && (!Array.isArray(cursor.v) || cursor.v.length !== keys.length)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const query = cursor
+    ? { ...filter, $and: [...(filter.$and || []), rangeFilter(keys, cursor.v, backwards)] }
+    : filter;
+
+  let data = await build(Model.find(query))
+    .sort(backwards ? reverseSort(keys) : Object.fromEntries(keys))
+    .limit(limit + 1);
+
+  const hasMore = data.length > limit;
+  data = data.slice(0, limit);
+  if (backwards) data.reverse();
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  const boundary = (doc, direction) => encodeCursor({
+    v: keys.map(([key]) => readValue(doc, key)),
+    d: direction
+  });
+
+  const nextCursor = hasNext && data.length > 0 ? boundary(data[data.length - 1], 'next') : null;
+  const prevCursor = hasPrev && data.length > 0 ? boundary(data[0], 'prev') : null;
+
+  return {
+    data,
+    pagination: {
+      limit,
+      total,
+      hasNext: Boolean(nextCursor),
+      hasPrev: Boolean(prevCursor),
+      nextCursor,
+      prevCursor,
+      next: nextCursor && buildLink(req, nextCursor),
+      prev: prevCursor && buildLink(req, prevCursor)
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Local payment provider for development and tests.
+// Every call succeeds and is recorded in memory so callers can inspect it.
+const operations = [];
+
+const record = (kind, details) => {
+  const operation = {
+    kind,
+    ...details,
+    reference: `fake_${kind}_${crypto.randomBytes(8).toString('hex')}`,
+    status: 'succeeded',
+    createdAt: new Date()
+  };
+  operations.push(operation);
+  return operation;
+};
+
+module.exports = {
+  name: 'fake',
+
+  // Collect money from a brand into platform escrow
+  charge: async ({ amount, currency, brandId, description }) =>
+    record('charge', { amount, currency, brandId, description }),
+
+  // Pay money out of escrow to an influencer
+  payout: async ({ amount, currency, influencerId, description }) =>
+    record('payout', { amount, currency, influencerId, description }),
+
+  // Return escrowed money to a brand
+  refund: async ({ amount, currency, brandId, description }) =>
+    record('refund', { amount, currency, brandId, description }),
+
+  getOperations: () => [...operations],
+
+  reset: () => {
+    operations.length = 0;
+  }
+};
@@ -0,0 +1,31 @@
+const fakeProvider = require('./fakeProvider');
+
+// Payment providers implement charge, payout and refund, each resolving to
+// { reference, status }. Register real providers here as they are integrated.
+const providers = {
+  fake: fakeProvider
+};
+
+let activeProvider = null;
+
+const getPaymentProvider = () => {
+  if (activeProvider) return activeProvider;
+
+  const name = process.env.PAYMENT_PROVIDER || 'fake';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Payment provider '${name}' is not registered`);
+  }
+
+  return provider;
+};
+
+// Override the provider, e.g. with a stub in tests
+const setPaymentProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+  setPaymentProvider
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { getIO, sessionRoom } = require('../sockets/io');
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+const refreshTokenDays = () =>
+  parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+  });
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so a rotated-out token still
+// identifies its session, which is how reuse is detected
+const newRefreshSecret = () => crypto.randomBytes(32).toString('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const issueTokens = (session, secret) => ({
+  token: generateAccessToken(session.userId, session._id),
+  refreshToken: `${session._id}.${secret}`
+});
+
+// Drop live socket connections that authenticated with the given sessions
+const disconnectSessions = (sessionIds) => {
+  const io = getIO();
+  if (!io || sessionIds.length === 0) return;
+  io.in(sessionIds.map(sessionId => sessionRoom(sessionId.toString()))).disconnectSockets(true);
+};
+
+// Start a session for a user who just signed in.
+// Returns { token, refreshToken, session }.
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    deviceName: typeof req.body.deviceName === 'string' ? req.body.deviceName.trim().slice(0, 100) : undefined,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+
+  return { ...issueTokens(session, secret), session };
+};
+
+// Exchange a refresh token for a new access and refresh token. Presenting a
+// token that has already been rotated out revokes the whole session, since
+// either the client or an attacker is holding a stolen copy. The hash is
+// swapped in a single conditional update, so of two concurrent refreshes
+// with the same token only one succeeds and the other counts as reuse.
+// Returns { token, refreshToken, session } or an error.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { statusCode: 401, message: 'Invalid refresh token' };
+  }
+
+  const now = new Date();
+  const secret = newRefreshSecret();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: now,
+        ip: req.ip,
+        ...(req.get('user-agent') && { userAgent: req.get('user-agent') })
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { ...issueTokens(session, secret), session };
+  }
+
+  // The token no longer matches an active session: either the session is
+  // gone, or the token was already rotated out and is being reused
+  const reused = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, revokedReason: 'reuse_detected' },
+    { new: true }
+  );
+
+  if (!reused) {
+    return { statusCode: 401, message: 'Invalid refresh token' };
+  }
+
+  disconnectSessions([reused._id]);
+  return { statusCode: 401, message: 'Refresh token reuse detected, please sign in again' };
+};
+
+// Revoke one session of a user. Returns the session, or null if the user
+// has no active session with that id.
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+  if (session) {
+    disconnectSessions([session._id]);
+  }
+
+  return session;
+};
+
+// Revoke every active session of a user. Returns the number revoked.
+const revokeAllSessions = async (userId, reason = 'revoked') => {
+  const sessionIds = await Session.find({ userId, revokedAt: null }).distinct('_id');
+  if (sessionIds.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  disconnectSessions(sessionIds);
+
+  return sessionIds.length;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// TOTP (RFC 6238): 6-digit codes from HMAC-SHA1 over 30 second steps,
+// compatible with Google Authenticator, Authy, 1Password and similar apps.
+
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Steps either side of now that are accepted, to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  const bits = value
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** CODE_DIGITS).toString().padStart(CODE_DIGITS, '0');
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// URI for authenticator apps; clients render it as a QR code
+const otpauthUrl = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || process.env.FROM_NAME || 'Influencer Marketplace';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// The time step a code belongs to, or null if it is not valid now.
+// Steps at or before `afterStep` are refused so a code cannot be replayed.
+const verifyCode = (secret, code, afterStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (step <= afterStep) continue;
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// New one-time recovery codes, as { codes, hashes }. Only the hashes are stored.
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Check a login's second factor against a user loaded with their 2FA secrets.
+// Accepts an authenticator `code` or a `recoveryCode`, which is used up.
+// Each code is claimed with a conditional update, so two concurrent requests
+// cannot both use it; the user document is refreshed to match.
+// Resolves true if valid.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const User = user.constructor;
+  const twoFactor = user.twoFactor;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    if (!twoFactor.recoveryCodes.includes(hash)) return false;
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    twoFactor.recoveryCodes.pull(hash);
+    user.unmarkModified('twoFactor.recoveryCodes');
+    return true;
+  }
+
+  const step = verifyCode(twoFactor.secret, code, twoFactor.lastUsedStep);
+  if (step === null) return false;
+
+  // Refused if a concurrent request already used this step or a later one
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  twoFactor.lastUsedStep = step;
+  user.unmarkModified('twoFactor.lastUsedStep');
+  return true;
+};
+
+module.exports = {
+  generateSecret,
+  otpauthUrl,
+  verifyCode,
+  generateRecoveryCodes,
+  verifySecondFactor
+};